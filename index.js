@@ -1,5 +1,53 @@
 import Explorer from './src/Explorer';
-import Lcp from './src/Lcp';
+import Lcp, {AES_BACKENDS, LCP_PROFILES, PROTECTION_METHODS} from './src/Lcp';
 import EpubCFI from './src/cfi/epubcfi';
+import EpubBuilder from './src/EpubBuilder';
+import LsdClient from './src/LsdClient';
+import RightsManager from './src/RightsManager';
+import Streamer from './src/Streamer';
+import ServiceWorkerAdapter from './src/ServiceWorkerAdapter';
+import {
+  CorruptedDataError,
+  DecipherError,
+  FileNotFoundError,
+  InflateError,
+  InvalidAscmError,
+  LengthMismatchError,
+  LsdError,
+  UnsupportedFormatError,
+  UnsupportedProfileError,
+  WrongKeyError
+} from './src/errors';
+import {BlobReader, BufferReader, FileHandleReader, HttpRangeReader} from './src/utils/rangeReaders';
+import {IndexedDbRightsStorage, JsonFileRightsStorage, MemoryRightsStorage} from './src/utils/rightsStorages';
 
-export {Explorer, Lcp, EpubCFI};
+export {
+  Explorer,
+  Lcp,
+  PROTECTION_METHODS,
+  LCP_PROFILES,
+  AES_BACKENDS,
+  EpubCFI,
+  EpubBuilder,
+  LsdClient,
+  RightsManager,
+  Streamer,
+  ServiceWorkerAdapter,
+  CorruptedDataError,
+  DecipherError,
+  FileNotFoundError,
+  InflateError,
+  InvalidAscmError,
+  LengthMismatchError,
+  LsdError,
+  UnsupportedFormatError,
+  UnsupportedProfileError,
+  WrongKeyError,
+  BlobReader,
+  BufferReader,
+  FileHandleReader,
+  HttpRangeReader,
+  MemoryRightsStorage,
+  JsonFileRightsStorage,
+  IndexedDbRightsStorage
+};
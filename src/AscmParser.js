@@ -0,0 +1,69 @@
+import {isEmpty} from './utils';
+import {InvalidAscmError} from './errors';
+
+const ROOT_TAG = 'fulfillmentToken';
+
+const REQUIRED_FIELDS = ['operatorUrl', 'transactionId', 'resourceId'];
+
+export default function parse(ascmDocument) {
+  const root = ascmDocument(ROOT_TAG);
+  if (isEmpty(root)) {
+    throw new InvalidAscmError(`no ${ROOT_TAG} root element found`);
+  }
+
+  const resourceItemInfo = root.children('resourceItemInfo').first();
+  const metadata = resourceItemInfo.children('metadata');
+  const expiration = getText(root.children('expiration'));
+  const mimeType = getText(metadata.children('dc\\:format'));
+
+  const ascm = {
+    fulfillmentType: root.attr('fulfillmentType') || null,
+    distributor: getText(root.children('distributor')),
+    operatorUrl: getText(root.children('operatorURL')),
+    transactionId: getText(root.children('transaction')),
+    expiration: expiration ? new Date(expiration) : null,
+    resourceId: getText(resourceItemInfo.children('resource')),
+    resourceItem: getText(resourceItemInfo.children('resourceItem')),
+    format: getFormat(mimeType),
+    mimeType,
+    metadata: {
+      title: getText(metadata.children('dc\\:title')),
+      creator: getText(metadata.children('dc\\:creator')),
+      publisher: getText(metadata.children('dc\\:publisher')),
+      identifier: getText(metadata.children('dc\\:identifier')),
+      language: getText(metadata.children('dc\\:language'))
+    },
+    signature: getText(root.children('hmac')) || getText(root.children('signature'))
+  };
+
+  if (ascm.expiration && isNaN(ascm.expiration.getTime())) {
+    throw new InvalidAscmError(`invalid expiration date ${expiration}`);
+  }
+
+  const missingFields = REQUIRED_FIELDS.filter(field => isEmpty(ascm[field]));
+  if (!isEmpty(missingFields)) {
+    throw new InvalidAscmError(`missing required fields in ASCM file: ${missingFields.join(', ')}`, missingFields);
+  }
+
+  return ascm;
+}
+
+function getText(element) {
+  if (isEmpty(element)) {
+    return null;
+  }
+  return element.first().text().trim();
+}
+
+function getFormat(mimeType) {
+  if (isEmpty(mimeType)) {
+    return null;
+  }
+  if (mimeType.indexOf('epub') !== -1) {
+    return 'epub';
+  }
+  if (mimeType.indexOf('pdf') !== -1) {
+    return 'pdf';
+  }
+  return null;
+}
@@ -0,0 +1,18 @@
+import ZipEpub from './ZipEpub';
+
+/**
+ * Epub stored unzipped in a directory, Node.js only.
+ * The directory is read through a DirectoryZip, so the OPF, toc, cover and LCP logic is the one of ZipEpub.
+ */
+class DirectoryEpub extends ZipEpub {
+
+  constructor(directory, license, keys) {
+    super(directory, license, keys);
+  }
+
+  getDirectoryPath() {
+    return this._zip.dirPath;
+  }
+}
+
+export default DirectoryEpub;
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import {convertBytes} from './utils';
+
+/**
+ * Read-only view of an unzipped (exploded) publication directory, Node.js only.
+ * Like RangeZip, it exposes the subset of the JSZip API used by the toolkit, files are read from disk on demand.
+ */
+class DirectoryZip {
+
+  constructor(dirPath, filePaths) {
+    this.dirPath = dirPath;
+    this.files = {};
+    filePaths.forEach(filePath => {
+      this.files[filePath] = new DirectoryZipObject(`${dirPath}/${filePath}`, filePath);
+    });
+  }
+
+  /**
+   * Lists all the files of the directory
+   *
+   * @param dirPath: path of the publication root directory
+   * @returns {Promise<DirectoryZip>}
+   */
+  static async load(dirPath) {
+    if (dirPath[dirPath.length - 1] === '/') {
+      dirPath = dirPath.substr(0, dirPath.length - 1);
+    }
+    const filePaths = await listFiles(dirPath, '');
+    return new DirectoryZip(dirPath, filePaths);
+  }
+
+  /**
+   * Same as JSZip.file: get a file by its name or all the files matching a regex
+   *
+   * @param name {String|RegExp}
+   * @returns {DirectoryZipObject|Array<DirectoryZipObject>|null}
+   */
+  file(name) {
+    if (name instanceof RegExp) {
+      return Object.keys(this.files)
+        .filter(path => name.test(path))
+        .map(path => this.files[path]);
+    }
+    return this.files[name] || null;
+  }
+}
+
+export default DirectoryZip;
+
+class DirectoryZipObject {
+
+  constructor(fullPath, name) {
+    this._fullPath = fullPath;
+    this.name = name;
+    this.dir = false;
+  }
+
+  /**
+   * Same as JSZip ZipObject.async: reads the file and outputs it in the given format
+   *
+   * @param format: 'string', 'text', 'uint8array', 'arraybuffer', 'nodebuffer', 'base64' or 'blob'
+   * @returns {Promise}
+   */
+  async async(format) {
+    const data = await fs.promises.readFile(this._fullPath);
+    return convertBytes(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), format);
+  }
+}
+
+async function listFiles(dirPath, relativePath) {
+  const entries = await fs.promises.readdir(`${dirPath}/${relativePath}`, {withFileTypes: true});
+  const filePaths = [];
+  for (const entry of entries) {
+    const entryPath = `${relativePath}${entry.name}`;
+    if (entry.isDirectory()) {
+      filePaths.push(...await listFiles(dirPath, `${entryPath}/`));
+    } else if (entry.isFile()) {
+      filePaths.push(entryPath);
+    }
+  }
+  return filePaths;
+}
@@ -0,0 +1,359 @@
+import JSZip from 'jszip';
+import mime from 'mime-types';
+import {escapeXml, formatDate, generateUuid, getDefaultOutputType, isEmpty} from './utils';
+
+const CONTENT_DIR = 'OEBPS';
+const PACKAGE_PATH = 'content.opf';
+const NAV_PATH = 'nav.xhtml';
+const NCX_PATH = 'toc.ncx';
+const XHTML_MIME_TYPE = 'application/xhtml+xml';
+
+const RENDITION_PROPERTIES = {
+  layout: 'rendition:layout',
+  orientation: 'rendition:orientation',
+  spread: 'rendition:spread',
+  flow: 'rendition:flow'
+};
+
+/**
+ * Creates EPUB 3 publications from scratch, with an EPUB 2 NCX fallback.
+ * Paths of the resources are relative to the content directory, where the package document is written.
+ *
+ *   const builder = new EpubBuilder({title: 'Sample', language: 'en'});
+ *   builder.addChapter('chapter1.xhtml', '<p>Hello</p>', {title: 'Chapter 1'});
+ *   builder.addResource('style.css', 'p { margin: 0; }');
+ *   const data = await builder.generate();
+ */
+class EpubBuilder {
+
+  /**
+   * @param metadata: see setMetadata
+   */
+  constructor(metadata = {}) {
+    this._metadata = {
+      identifier: `urn:uuid:${generateUuid()}`,
+      title: 'Untitled',
+      language: 'en',
+      creators: [],
+      subjects: []
+    };
+    this._rendition = {};
+    this._resources = [];
+    this._spine = null;
+    this._toc = null;
+    this._coverPath = null;
+
+    this.setMetadata(metadata);
+  }
+
+  /**
+   * Sets Dublin Core metadata
+   *
+   * @param metadata: {identifier, title, language, creators, subjects, publisher, description, date, rights, modified}
+   * creators and subjects being arrays of strings, modified a Date (the generation date by default)
+   * @returns {EpubBuilder}
+   */
+  setMetadata(metadata) {
+    Object.assign(this._metadata, metadata);
+    return this;
+  }
+
+  /**
+   * Sets rendition properties
+   *
+   * @param rendition: {layout, orientation, spread, flow} with their EPUB values, like {layout: 'pre-paginated'}
+   * @returns {EpubBuilder}
+   */
+  setRendition(rendition) {
+    Object.assign(this._rendition, rendition);
+    return this;
+  }
+
+  /**
+   * Adds an XHTML document to the spine, in the order documents are added unless setSpine is called
+   *
+   * @param path
+   * @param content: a complete XHTML document, or the content of its body
+   * @param options: {title, id, linear, properties, spread} the title being used in the default toc
+   * @returns {EpubBuilder}
+   */
+  addChapter(path, content, {title, id, linear = true, properties, spread} = {}) {
+    if (!/<html[\s>]/.test(content)) {
+      content = createXhtmlDocument(title || '', content);
+    }
+    this._addResource(path, content, {id, mediaType: XHTML_MIME_TYPE, properties, chapter: {title, linear, spread}});
+    return this;
+  }
+
+  /**
+   * Adds a resource: image, stylesheet, font...
+   *
+   * @param path
+   * @param data: string or binary data
+   * @param options: {id, mediaType, properties} the media type being guessed from the path by default
+   * @returns {EpubBuilder}
+   */
+  addResource(path, data, {id, mediaType, properties} = {}) {
+    this._addResource(path, data, {id, mediaType, properties});
+    return this;
+  }
+
+  /**
+   * Adds the cover image
+   *
+   * @param path
+   * @param data
+   * @param options: {id, mediaType}
+   * @returns {EpubBuilder}
+   */
+  setCover(path, data, {id = 'cover-image', mediaType} = {}) {
+    this._addResource(path, data, {id, mediaType, properties: 'cover-image'});
+    this._coverPath = path;
+    return this;
+  }
+
+  /**
+   * Sets the order of the spine
+   *
+   * @param paths: paths of added chapters
+   * @returns {EpubBuilder}
+   */
+  setSpine(paths) {
+    paths.forEach(path => {
+      if (!this._findChapter(path)) {
+        throw new Error(`${path} is not a chapter of the publication`);
+      }
+    });
+    this._spine = paths;
+    return this;
+  }
+
+  /**
+   * Sets the table of contents, built from the titles of the chapters by default,
+   * or from the file names of the spine documents when no chapter has a title
+   *
+   * @param toc: Array<{title, href, children}>, hrefs being paths of the resources, with an optional fragment
+   * @returns {EpubBuilder}
+   */
+  setToc(toc) {
+    this._toc = toc;
+    return this;
+  }
+
+  /**
+   * Get the files of the publication
+   *
+   * @returns {Object} a map of file paths to string or binary data
+   */
+  getFiles() {
+    const files = {
+      'mimetype': 'application/epub+zip',
+      'META-INF/container.xml': createContainer(`${CONTENT_DIR}/${PACKAGE_PATH}`)
+    };
+
+    const spine = this._getSpine();
+    const toc = this._getToc(spine);
+    files[`${CONTENT_DIR}/${PACKAGE_PATH}`] = createPackage(this._metadata, this._rendition, this._resources, spine, this._coverPath);
+    files[`${CONTENT_DIR}/${NAV_PATH}`] = createNav(this._metadata.title, toc);
+    files[`${CONTENT_DIR}/${NCX_PATH}`] = createNcx(this._metadata, toc);
+    this._resources.forEach(resource => {
+      files[`${CONTENT_DIR}/${resource.path}`] = resource.data;
+    });
+    return files;
+  }
+
+  /**
+   * Generates the epub
+   *
+   * @param options: {type} JSZip output type, Buffer in Node.js and Uint8Array in browsers by default
+   * @returns {Promise<Buffer|Uint8Array>}
+   */
+  async generate({type = getDefaultOutputType()} = {}) {
+    const zip = new JSZip();
+    const files = this.getFiles();
+    Object.keys(files).forEach(path => {
+      // the mimetype must be the first entry of the zip, stored uncompressed
+      zip.file(path, files[path], {createFolders: false, compression: path === 'mimetype' ? 'STORE' : 'DEFLATE'});
+    });
+    return zip.generateAsync({type, compression: 'DEFLATE'});
+  }
+
+  _addResource(path, data, {id, mediaType, properties, chapter}) {
+    if (isEmpty(path) || [PACKAGE_PATH, NAV_PATH, NCX_PATH].includes(path)) {
+      throw new Error(`invalid resource path ${path}`);
+    }
+    this._resources = this._resources.filter(resource => resource.path !== path);
+    this._resources.push({
+      path,
+      data,
+      id: id || `item-${path.replace(/[^A-Za-z0-9_.-]/g, '_')}`,
+      mediaType: mediaType || mime.lookup(path) || 'application/octet-stream',
+      properties,
+      chapter
+    });
+  }
+
+  _findChapter(path) {
+    return this._resources.find(resource => resource.path === path && resource.chapter);
+  }
+
+  _getSpine() {
+    const paths = this._spine || this._resources.filter(resource => resource.chapter).map(resource => resource.path);
+    return paths.map(path => this._findChapter(path)).filter(resource => resource);
+  }
+
+  _getToc(spine) {
+    if (!isEmpty(this._toc)) {
+      return this._toc;
+    }
+    const toc = spine
+      .filter(resource => !isEmpty(resource.chapter.title))
+      .map(resource => ({title: resource.chapter.title, href: resource.path}));
+    // the nav document and the NCX need at least one entry
+    return toc.length > 0 ? toc : spine.map(resource => ({title: getFileTitle(resource.path), href: resource.path}));
+  }
+}
+
+export default EpubBuilder;
+
+function createContainer(packagePath) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="${escapeXml(packagePath)}" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+}
+
+function createPackage(metadata, rendition, resources, spine, coverPath) {
+  const modified = formatDate(metadata.modified || new Date());
+  const coverResource = resources.find(resource => resource.path === coverPath);
+
+  const metadataElements = [
+    `<dc:identifier id="uid">${escapeXml(metadata.identifier)}</dc:identifier>`,
+    `<dc:title>${escapeXml(metadata.title)}</dc:title>`,
+    `<dc:language>${escapeXml(metadata.language)}</dc:language>`,
+    ...toArray(metadata.creators).map(creator => `<dc:creator>${escapeXml(creator)}</dc:creator>`),
+    ...toArray(metadata.subjects).map(subject => `<dc:subject>${escapeXml(subject)}</dc:subject>`),
+    ...['publisher', 'description', 'date', 'rights']
+      .filter(key => !isEmpty(metadata[key]))
+      .map(key => `<dc:${key}>${escapeXml(metadata[key])}</dc:${key}>`),
+    `<meta property="dcterms:modified">${modified}</meta>`,
+    ...Object.keys(RENDITION_PROPERTIES)
+      .filter(key => !isEmpty(rendition[key]))
+      .map(key => `<meta property="${RENDITION_PROPERTIES[key]}">${escapeXml(rendition[key])}</meta>`)
+  ];
+  if (coverResource) {
+    // epub 2 reading systems find the cover through this meta
+    metadataElements.push(`<meta name="cover" content="${escapeXml(coverResource.id)}"/>`);
+  }
+
+  const items = [
+    `<item id="nav" href="${NAV_PATH}" media-type="${XHTML_MIME_TYPE}" properties="nav"/>`,
+    `<item id="ncx" href="${NCX_PATH}" media-type="application/x-dtbncx+xml"/>`,
+    ...resources.map(resource => {
+      const properties = isEmpty(resource.properties) ? '' : ` properties="${escapeXml(resource.properties)}"`;
+      return `<item id="${escapeXml(resource.id)}" href="${escapeXml(encodeURI(resource.path))}" media-type="${escapeXml(resource.mediaType)}"${properties}/>`;
+    })
+  ];
+
+  const itemrefs = spine.map(resource => {
+    const linear = resource.chapter.linear ? '' : ' linear="no"';
+    const properties = isEmpty(resource.chapter.spread) ? '' : ` properties="page-spread-${escapeXml(resource.chapter.spread)}"`;
+    return `<itemref idref="${escapeXml(resource.id)}"${linear}${properties}/>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="${escapeXml(metadata.language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    ${metadataElements.join('\n    ')}
+  </metadata>
+  <manifest>
+    ${items.join('\n    ')}
+  </manifest>
+  <spine toc="ncx">
+    ${itemrefs.join('\n    ')}
+  </spine>
+</package>
+`;
+}
+
+function createNav(title, toc) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+  <head>
+    <title>${escapeXml(title)}</title>
+  </head>
+  <body>
+    <nav epub:type="toc" id="toc">
+      ${createNavList(toc, '      ')}
+    </nav>
+  </body>
+</html>
+`;
+}
+
+function createNavList(items, indent) {
+  const entries = items.map(item => {
+    const children = isEmpty(item.children) ? '' : `\n${indent}    ${createNavList(item.children, `${indent}    `)}\n${indent}  `;
+    return `${indent}  <li><a href="${escapeXml(encodeURI(item.href))}">${escapeXml(item.title)}</a>${children}</li>`;
+  });
+  return `<ol>\n${entries.join('\n')}\n${indent}</ol>`;
+}
+
+function createNcx(metadata, toc) {
+  let playOrder = 0;
+  const createNavPoints = (items, indent) => items.map(item => {
+    playOrder++;
+    const children = isEmpty(item.children) ? '' : `\n${createNavPoints(item.children, `${indent}  `)}`;
+    return `${indent}<navPoint id="navpoint-${playOrder}" playOrder="${playOrder}">
+${indent}  <navLabel><text>${escapeXml(item.title)}</text></navLabel>
+${indent}  <content src="${escapeXml(encodeURI(item.href))}"/>${children}
+${indent}</navPoint>`;
+  }).join('\n');
+  const navPoints = createNavPoints(toc, '    ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${escapeXml(metadata.identifier)}"/>
+    <meta name="dtb:depth" content="${getDepth(toc)}"/>
+  </head>
+  <docTitle><text>${escapeXml(metadata.title)}</text></docTitle>
+  <navMap>
+${navPoints}
+  </navMap>
+</ncx>
+`;
+}
+
+function getFileTitle(path) {
+  return path.split('/').pop().replace(/\.[^.]*$/, '');
+}
+
+function createXhtmlDocument(title, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+  <head>
+    <title>${escapeXml(title)}</title>
+  </head>
+  <body>
+    ${body}
+  </body>
+</html>
+`;
+}
+
+function getDepth(items) {
+  return isEmpty(items) ? 0 : 1 + Math.max(...items.map(item => getDepth(item.children)));
+}
+
+function toArray(value) {
+  if (isEmpty(value)) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
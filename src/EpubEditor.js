@@ -0,0 +1,367 @@
+import cheerio from 'cheerio';
+import mime from 'mime-types';
+import {bytesToString, escapeXml, formatDate, getDirPath, getOpfFilePath, isEmpty, makeAbsolutePath, normalizePath, parseXml} from './utils';
+import {
+  BYTES_FORMAT,
+  generateZip,
+  getFile,
+  getOpfIdentifiers,
+  getProtectedFiles,
+  removeEncryptedDataEntries
+} from './utils/zipTools';
+import {PROTECTION_METHODS} from './Lcp';
+import {deobfuscateAdobeFont, deobfuscateIdpfFont} from './FontObfuscation';
+
+const CONTAINER_PATH = 'META-INF/container.xml';
+const ENCRYPTION_PATH = 'META-INF/encryption.xml';
+const LICENSE_PATH = 'META-INF/license.lcpl';
+const NCX_MIME_TYPE = 'application/x-dtbncx+xml';
+
+/**
+ * Edits the metadata of an epub and repackages it.
+ * Only the package document, the NCX and the changed resources are rewritten: the other entries, encrypted ones
+ * included, are copied as they are stored in the original archive.
+ */
+class EpubEditor {
+
+  constructor(zip, opfPath, opfXml) {
+    this._zip = zip;
+    this._opfPath = opfPath;
+    this._basePath = getDirPath(opfPath);
+    // entities are kept as they are, so that untouched parts of the package document are written back unchanged
+    this._opf = cheerio.load(opfXml.trim(), {xmlMode: true, decodeEntities: false});
+    this._files = {};
+    this._metadataChanged = false;
+    this._titleChanged = false;
+    this._modifiedChanged = false;
+  }
+
+  static async load(zip) {
+    const container = parseXml(await getFile(zip, CONTAINER_PATH, BYTES_FORMAT));
+    const opfPath = getOpfFilePath(container);
+    return new EpubEditor(zip, opfPath, await getFile(zip, opfPath));
+  }
+
+  setTitle(title) {
+    this._metadataChanged = true;
+    const titles = this._findMetadata('dc:title');
+    if (isEmpty(titles)) {
+      this._appendMetadata(`<dc:title>${escapeXml(title)}</dc:title>`);
+    } else {
+      titles.first().html(escapeXml(title));
+      // subtitles and alternate titles would no longer match
+      this._removeMetadata(titles.slice(1));
+    }
+    this._titleChanged = true;
+  }
+
+  /**
+   * @param creators: Array<String|{name, role, fileAs}> the role being a MARC relator code, like 'aut'
+   */
+  setCreators(creators) {
+    this._metadataChanged = true;
+    this._removeMetadata(this._findMetadata('dc:creator'));
+    toArray(creators).forEach((creator, index) => {
+      const {name, role, fileAs} = typeof creator === 'string' ? {name: creator} : creator;
+      const id = this._generateId(`creator${index + 1}`);
+
+      if (this._isEpub3()) {
+        this._appendMetadata(`<dc:creator id="${id}">${escapeXml(name)}</dc:creator>`);
+        if (!isEmpty(role)) {
+          this._appendMetadata(`<meta refines="#${id}" property="role" scheme="marc:relators">${escapeXml(role)}</meta>`);
+        }
+        if (!isEmpty(fileAs)) {
+          this._appendMetadata(`<meta refines="#${id}" property="file-as">${escapeXml(fileAs)}</meta>`);
+        }
+      } else {
+        const roleAttribute = isEmpty(role) ? '' : ` opf:role="${escapeXml(role)}"`;
+        const fileAsAttribute = isEmpty(fileAs) ? '' : ` opf:file-as="${escapeXml(fileAs)}"`;
+        this._appendMetadata(`<dc:creator${roleAttribute}${fileAsAttribute}>${escapeXml(name)}</dc:creator>`);
+      }
+    });
+  }
+
+  /**
+   * Replaces the identifiers, the first one becoming the unique identifier of the publication.
+   * Obfuscated fonts are obfuscated again with the new identifiers.
+   *
+   * @param identifiers: Array<String|{value, scheme}>
+   */
+  setIdentifiers(identifiers) {
+    identifiers = toArray(identifiers).map(identifier => typeof identifier === 'string' ? {value: identifier} : identifier);
+    if (isEmpty(identifiers)) {
+      throw new Error('a publication must have at least one identifier');
+    }
+
+    this._metadataChanged = true;
+    const uniqueIdentifierId = this._opf('package').attr('unique-identifier') || 'uid';
+    this._opf('package').attr('unique-identifier', uniqueIdentifierId);
+    this._removeMetadata(this._findMetadata('dc:identifier'));
+
+    identifiers.forEach(({value, scheme}, index) => {
+      const id = index === 0 ? uniqueIdentifierId : this._generateId(`identifier${index + 1}`);
+      if (this._isEpub3()) {
+        this._appendMetadata(`<dc:identifier id="${id}">${escapeXml(value)}</dc:identifier>`);
+        if (!isEmpty(scheme)) {
+          this._appendMetadata(`<meta refines="#${id}" property="identifier-type">${escapeXml(scheme)}</meta>`);
+        }
+      } else {
+        const schemeAttribute = isEmpty(scheme) ? '' : ` opf:scheme="${escapeXml(scheme)}"`;
+        this._appendMetadata(`<dc:identifier id="${id}"${schemeAttribute}>${escapeXml(value)}</dc:identifier>`);
+      }
+    });
+  }
+
+  setSubjects(subjects) {
+    this._metadataChanged = true;
+    this._removeMetadata(this._findMetadata('dc:subject'));
+    toArray(subjects).forEach(subject => this._appendMetadata(`<dc:subject>${escapeXml(subject)}</dc:subject>`));
+  }
+
+  /**
+   * Sets the series of the publication, as an EPUB 3 collection or Calibre metadata for EPUB 2
+   *
+   * @param name: null to remove the publication from its series
+   * @param position: the position of the publication in the series
+   */
+  setSeries(name, position) {
+    this._metadataChanged = true;
+    const collections = this._opf('metadata > meta[property="belongs-to-collection"]')
+      .filter((index, element) => {
+        const id = cheerio(element).attr('id');
+        return !id || this._opf(`metadata > meta[refines="#${id}"][property="collection-type"]`).text().trim() === 'series';
+      });
+    this._removeMetadata(collections);
+    this._removeMetadata(this._opf('metadata > meta[name="calibre:series"], metadata > meta[name="calibre:series_index"]'));
+
+    if (isEmpty(name)) {
+      return;
+    }
+    if (this._isEpub3()) {
+      const id = this._generateId('series');
+      this._appendMetadata(`<meta property="belongs-to-collection" id="${id}">${escapeXml(name)}</meta>`);
+      this._appendMetadata(`<meta refines="#${id}" property="collection-type">series</meta>`);
+      if (!isEmpty(position)) {
+        this._appendMetadata(`<meta refines="#${id}" property="group-position">${escapeXml(position)}</meta>`);
+      }
+    } else {
+      this._appendMetadata(`<meta name="calibre:series" content="${escapeXml(name)}"/>`);
+      if (!isEmpty(position)) {
+        this._appendMetadata(`<meta name="calibre:series_index" content="${escapeXml(position)}"/>`);
+      }
+    }
+  }
+
+  /**
+   * Sets the cover image, replacing the data of the current cover if it has the same path
+   *
+   * @param path: path of the image in the epub
+   * @param data: image data
+   * @param mediaType: guessed from the path by default
+   */
+  setCover(path, data, mediaType = mime.lookup(path)) {
+    this._metadataChanged = true;
+    path = normalizePath(path);
+    const href = getRelativeHref(this._basePath, path);
+
+    let item = this._opf('manifest > item').filter((index, element) => this._getItemPath(cheerio(element)) === path).first();
+    this._opf('manifest > item[properties~="cover-image"]').each((index, element) => {
+      const properties = cheerio(element).attr('properties').split(/\s+/).filter(property => property !== 'cover-image');
+      if (isEmpty(properties)) {
+        cheerio(element).removeAttr('properties');
+      } else {
+        cheerio(element).attr('properties', properties.join(' '));
+      }
+    });
+
+    if (isEmpty(item)) {
+      this._opf('manifest').append(`\n    <item id="${this._generateId('cover-image')}" href="${escapeXml(encodeURI(href))}" media-type="${escapeXml(mediaType)}"/>\n  `);
+      item = this._opf('manifest > item').last();
+    } else {
+      item.attr('media-type', mediaType);
+    }
+    if (this._isEpub3()) {
+      const properties = (item.attr('properties') || '').split(/\s+/).filter(property => !isEmpty(property));
+      item.attr('properties', [...properties, 'cover-image'].join(' '));
+    }
+
+    // epub 2 reading systems find the cover through this meta
+    this._removeMetadata(this._opf('metadata > meta[name="cover"]'));
+    this._appendMetadata(`<meta name="cover" content="${item.attr('id')}"/>`);
+
+    this._files[path] = data;
+  }
+
+  /**
+   * Sets the modification date, the date of the save by default
+   *
+   * @param date {Date}
+   */
+  setModified(date = new Date()) {
+    this._writeModified(date);
+    this._modifiedChanged = true;
+  }
+
+  /**
+   * Replaces the LCP license
+   *
+   * @param license: the parsed license
+   */
+  setLicense(license) {
+    this._files[LICENSE_PATH] = JSON.stringify(license);
+  }
+
+  /**
+   * Generates the edited epub. The package document is only rewritten if metadata changed, its modification date
+   * being then set to the generation date unless setModified was called.
+   *
+   * @param type: JSZip output type
+   * @returns {Promise}
+   */
+  async generate(type) {
+    if (this._metadataChanged && !this._modifiedChanged) {
+      this._writeModified(new Date());
+    }
+
+    const protections = await getProtectedFiles(this._zip);
+    const originalIdentifiers = getOpfIdentifiers(parseXml(await getFile(this._zip, this._opfPath)));
+    const identifiers = getOpfIdentifiers(parseXml(this._opf.xml()));
+
+    const changedFiles = Object.assign({}, this._files);
+    if (this._metadataChanged) {
+      changedFiles[this._opfPath] = this._opf.xml();
+    }
+    const ncxPath = this._getNcxPath();
+    const ncxChanged = this._titleChanged || identifiers.uid !== originalIdentifiers.uid;
+    // an encrypted NCX is copied as it is, there is no key to re-encrypt it
+    if (ncxPath && this._zip.file(ncxPath) && !protections[makeAbsolutePath(ncxPath)] && ncxChanged) {
+      changedFiles[ncxPath] = updateNcx(await getFile(this._zip, ncxPath, BYTES_FORMAT), this._getTitle(), identifiers.uid);
+    }
+
+    const files = [];
+    for (const path of Object.keys(this._zip.files)) {
+      if (this._zip.files[path].dir) {
+        continue;
+      }
+      const protection = protections[makeAbsolutePath(path)];
+      let data = changedFiles[path];
+      if (data === undefined) {
+        data = await this._zip.files[path].async(BYTES_FORMAT);
+        data = reobfuscateFont(data, protection, originalIdentifiers, identifiers);
+      }
+      files.push({path, data});
+    }
+    Object.keys(this._files)
+      .filter(path => !this._zip.file(path))
+      .forEach(path => files.push({path, data: this._files[path]}));
+
+    // replaced resources are written in clear
+    const replacedPaths = Object.keys(this._files).filter(path => path !== LICENSE_PATH).map(makeAbsolutePath).filter(path => protections[path]);
+    const encryptionFile = files.find(file => file.path === ENCRYPTION_PATH);
+    if (encryptionFile && !isEmpty(replacedPaths)) {
+      encryptionFile.data = removeEncryptedDataEntries(bytesToString(encryptionFile.data), replacedPaths);
+    }
+
+    return generateZip(files.filter(file => file.data !== null), type);
+  }
+
+  _writeModified(date) {
+    this._metadataChanged = true;
+    const modified = formatDate(date);
+    if (this._isEpub3()) {
+      this._removeMetadata(this._opf('metadata > meta[property="dcterms:modified"]'));
+      this._appendMetadata(`<meta property="dcterms:modified">${modified}</meta>`);
+    } else {
+      this._removeMetadata(this._findMetadata('dc:date').filter((index, element) => cheerio(element).attr('opf:event') === 'modification'));
+      this._appendMetadata(`<dc:date opf:event="modification">${modified}</dc:date>`);
+    }
+  }
+
+  _isEpub3() {
+    return /^3/.test(this._opf('package').attr('version') || '');
+  }
+
+  _getTitle() {
+    return cheerio.load(this._findMetadata('dc:title').first().html() || '', {xmlMode: true}).root().text();
+  }
+
+  _findMetadata(tagName) {
+    return this._opf('metadata > *').filter((index, element) => element.tagName === tagName);
+  }
+
+  _appendMetadata(xml) {
+    this._opf('metadata').append(`  ${xml}\n  `);
+  }
+
+  _removeMetadata(elements) {
+    elements.each((index, element) => {
+      const id = cheerio(element).attr('id');
+      if (!isEmpty(id)) {
+        this._removeMetadata(this._opf(`metadata > meta[refines="#${id}"]`));
+      }
+      // removes the indentation along with the element
+      if (element.prev && element.prev.type === 'text' && isEmpty(element.prev.data.trim())) {
+        cheerio(element.prev).remove();
+      }
+      cheerio(element).remove();
+    });
+  }
+
+  _generateId(base) {
+    let id = base;
+    for (let index = 2; this._opf(`[id="${id}"]`).length > 0; index++) {
+      id = `${base}-${index}`;
+    }
+    return id;
+  }
+
+  _getItemPath(item) {
+    return normalizePath(`${this._basePath}${decodeURI(item.attr('href'))}`);
+  }
+
+  _getNcxPath() {
+    const ncxItem = this._opf(`manifest > item[media-type="${NCX_MIME_TYPE}"]`);
+    return isEmpty(ncxItem) ? null : this._getItemPath(ncxItem.first());
+  }
+}
+
+export default EpubEditor;
+
+function updateNcx(ncxData, title, uid) {
+  const ncx = cheerio.load(bytesToString(ncxData).trim(), {xmlMode: true, decodeEntities: false});
+  ncx('docTitle > text').html(escapeXml(title));
+  if (uid) {
+    ncx('head > meta[name="dtb:uid"]').attr('content', escapeXml(uid));
+  }
+  return ncx.xml();
+}
+
+function reobfuscateFont(data, protection, originalIdentifiers, identifiers) {
+  if (!protection) {
+    return data;
+  }
+  if (protection.algorithm === PROTECTION_METHODS.IDPF_FONT && originalIdentifiers.uid && identifiers.uid && originalIdentifiers.uid !== identifiers.uid) {
+    return deobfuscateIdpfFont(deobfuscateIdpfFont(data, originalIdentifiers.uid), identifiers.uid);
+  }
+  if (protection.algorithm === PROTECTION_METHODS.ADOBE_FONT && originalIdentifiers.uuid && identifiers.uuid && originalIdentifiers.uuid !== identifiers.uuid) {
+    return deobfuscateAdobeFont(deobfuscateAdobeFont(data, originalIdentifiers.uuid), identifiers.uuid);
+  }
+  return data;
+}
+
+function getRelativeHref(basePath, path) {
+  const baseSegments = basePath.split('/').filter(segment => !isEmpty(segment));
+  const pathSegments = path.split('/');
+  let common = 0;
+  while (common < baseSegments.length && common < pathSegments.length - 1 && baseSegments[common] === pathSegments[common]) {
+    common++;
+  }
+  return [...baseSegments.slice(common).map(() => '..'), ...pathSegments.slice(common)].join('/');
+}
+
+function toArray(value) {
+  if (isEmpty(value)) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
@@ -1,18 +1,43 @@
-import {all, Promise} from 'rsvp';
-import {makeAbsolutePath, parseXml} from './utils';
+import {Promise} from 'rsvp';
+import {binaryToBytes, bytesToString, getDefaultOutputType, makeAbsolutePath, parseXml} from './utils';
 import ZipEpub from './ZipEpub';
 import ZipPdf from './ZipPdf';
+import ZipAudiobook from './ZipAudiobook';
+import ZipComic from './ZipComic';
 import WebEpub from './WebEpub';
+import DirectoryEpub from './DirectoryEpub';
+import DirectoryZip from './DirectoryZip';
 import Lcp from './Lcp';
+import RangeZip from './RangeZip';
+import parseAscm from './AscmParser';
+import encryptPublication from './LcpEncrypter';
+import validate, {SEVERITY} from './Validator';
 import JSZip from 'jszip';
-import {getCoverPath, getFile, getLcpLicense, getProtectedFiles, STRING_FORMAT} from './utils/zipTools';
+import {
+  getCoverPath,
+  getFile,
+  getLcpLicense,
+  getIdentifiers,
+  getProtectedFiles,
+  generateZip,
+  LICENSE_PATHS,
+  removeEncryptedDataEntries,
+  STRING_FORMAT
+} from './utils/zipTools';
+import {deobfuscateAdobeFont, deobfuscateIdpfFont} from './FontObfuscation';
+import {UnsupportedFormatError, WrongKeyError} from './errors';
+import {HttpRangeReader, isRangeReader} from './utils/rangeReaders';
+
+const forge = require('../vendor/forge.toolkit');
 
 const UTF8 = 'utf-8';
 
 const BYTES_FORMAT = 'uint8array';
 
 const EPUB_FILE_MIME_TYPE = 'application/epub+zip';
-const ASCM_XML_ROOT_TAG = 'fulfillmentToken';
+const ASCM_SNIFF_LENGTH = 1024;
+// the fulfillmentToken root element may follow whitespace, an xml declaration, comments or processing instructions
+const ASCM_ROOT_REGEX = /^\s*(?:(?:<\?[\s\S]*?\?>|<!--[\s\S]*?-->)\s*)*<(?:[\w-]+:)?fulfillmentToken[\s/>]/;
 
 const PROTECTION_METHOD = {
   ADOBE_DRM: 'http://ns.adobe.com/adept',
@@ -24,8 +49,62 @@ const PROTECTION_METHOD = {
 
 const LCP_PROTECTION_TYPE = 'http://readium.org/2014/01/lcp#EncryptedContentKey';
 
+const ENCRYPTION_FILE_PATH = 'META-INF/encryption.xml';
+
+export const FORMATS = {
+  EPUB: 'epub',
+  PDF: 'pdf',
+  AUDIOBOOK: 'audiobook',
+  COMIC: 'comic',
+  WEBPUB: 'webpub',
+  ASCM: 'ascm',
+  UNKNOWN: 'unknown'
+};
+
+const ZIP_LOCAL_FILE_HEADER = [0x50, 0x4b, 0x03, 0x04];
+
 class Explorer {
 
+  /**
+   * Opens a publication whatever its format, detected from its content
+   *
+   * @param input: binary data (Buffer, Uint8Array, ArrayBuffer), base64 string, byte-range reader or web publication url
+   * @param options: {license, keys}
+   * @returns {Promise<Ebook>}
+   */
+  static async open(input, {license = null, keys = []} = {}) {
+    if (isUrl(input)) {
+      return Explorer.loadFromWebPubUrl(input.toString(), license, keys);
+    }
+
+    if (isRangeReader(input)) {
+      let zip;
+      try {
+        zip = await RangeZip.load(input);
+      } catch (error) {
+        throw new UnsupportedFormatError(error.message, FORMATS.UNKNOWN, error);
+      }
+      return openZip(zip, license, keys);
+    }
+
+    const data = toBytes(input);
+    if (isAscmFile(data)) {
+      throw new UnsupportedFormatError('ASCM fulfillment tokens must be fulfilled before being opened', FORMATS.ASCM);
+    }
+    if (!isZipData(data)) {
+      throw new UnsupportedFormatError('data is not a zip archive', FORMATS.UNKNOWN);
+    }
+
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(data);
+    } catch (error) {
+      // a zip signature followed by a truncated or corrupt archive
+      throw new UnsupportedFormatError(`data is not a readable zip archive: ${error.message}`, FORMATS.UNKNOWN, error);
+    }
+    return openZip(zip, license, keys);
+  }
+
   /**
    * @param data
    * @param license
@@ -48,6 +127,26 @@ class Explorer {
     return new ZipPdf(zip, license, keys);
   }
 
+  /**
+   * @param data
+   * @param license
+   * @param keys
+   * @returns {Promise<ZipAudiobook>}
+   */
+  static async loadFromBinaryAudiobook(data, license = null, keys = []) {
+    const zip = await JSZip.loadAsync(data);
+    return new ZipAudiobook(zip, license, keys);
+  }
+
+  /**
+   * @param data
+   * @returns {Promise<ZipComic>}
+   */
+  static async loadFromBinaryComic(data) {
+    const zip = await JSZip.loadAsync(data);
+    return new ZipComic(zip);
+  }
+
   /**
    * @param data
    * @param license
@@ -59,6 +158,45 @@ class Explorer {
     return new ZipEpub(zip, license, keys);
   }
 
+  /**
+   * Loads an epub without reading it entirely: the zip central directory and entries are read on demand
+   *
+   * @param reader: a byte-range reader, see utils/rangeReaders
+   * @param license
+   * @param keys
+   * @returns {Promise<ZipEpub>}
+   */
+  static async loadFromRangeReader(reader, license = null, keys = []) {
+    const zip = await RangeZip.load(reader);
+    return new ZipEpub(zip, license, keys);
+  }
+
+  /**
+   * Loads an epub served by a server supporting HTTP Range requests
+   *
+   * @param url
+   * @param license
+   * @param keys
+   * @param options: {fetch, headers}
+   * @returns {Promise<ZipEpub>}
+   */
+  static async loadFromUrl(url, license = null, keys = [], options = {}) {
+    return Explorer.loadFromRangeReader(new HttpRangeReader(url, options), license, keys);
+  }
+
+  /**
+   * Loads an unzipped epub from a directory, Node.js only
+   *
+   * @param dirPath
+   * @param license
+   * @param keys
+   * @returns {Promise<DirectoryEpub>}
+   */
+  static async loadFromDirectory(dirPath, license = null, keys = []) {
+    const directory = await DirectoryZip.load(dirPath);
+    return new DirectoryEpub(directory, license, keys);
+  }
+
   /**
    * @param url
    * @param license
@@ -112,6 +250,24 @@ class Explorer {
     return testEpubFileValidity(epubData);
   }
 
+  /**
+   * Checks the structure of an epub: mimetype, container, package metadata, manifest and spine consistency,
+   * navigation documents, internal links and encryption.xml references
+   *
+   * @param epubData: epub binary data or base64 string
+   * @returns {Promise<Array<{severity, code, path, message}>>} the findings, empty if the epub is valid
+   */
+  static async validate(epubData) {
+    const data = toBytes(epubData);
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(data);
+    } catch (error) {
+      return [{severity: SEVERITY.ERROR, code: 'ZIP_INVALID', path: null, message: `data is not a valid zip archive: ${error.message}`}];
+    }
+    return validate(zip, data);
+  }
+
   /**
    *
    * @param epubData
@@ -122,51 +278,118 @@ class Explorer {
   }
 
   /**
+   * Parses an Adobe ASCM fulfillment token
+   *
+   * @param data: ASCM file binary data or xml string
+   * @returns {{operatorUrl, transactionId, resourceId, expiration, format, metadata, signature}}
+   * @throws {InvalidAscmError} if some required fields are missing
+   */
+  static parseAscm(data) {
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
+    const xml = typeof data === 'string' ? data : bytesToString(data);
+    return parseAscm(parseXml(xml));
+  }
+
+  /**
+   * Deciphers the LCP protected resources of an epub or a LCP pdf package, and outputs the unprotected publication
    *
    * @param epubData
    * @param license
    * @param userKey
+   * @param options: {type, deobfuscateFonts}
+   *  - type: the output type, 'nodebuffer' (default in node.js), 'uint8array' (default in browsers), 'arraybuffer' or 'blob'
+   *  - deobfuscateFonts: output de-obfuscated fonts instead of obfuscated ones, false by default
    * @returns {Promise<*>}
+   * @throws {WrongKeyError} if the user key does not open the license, damaged resources being kept encrypted
+   */
+  static async decipher(epubData, license, userKey, options = {}) {
+    const {data} = await Explorer.decipherWithReport(epubData, license, userKey, options);
+    return data;
+  }
+
+  /**
+   * Encrypts an epub or a pdf with LCP and creates its license, the reverse of decipher.
+   * The license is not signed, the publication being readable with the user key only.
+   *
+   * @param data: the epub, the pdf or a zip containing the pdf
+   * @param userKey: hex encoded SHA-256 hash of the user passphrase
+   * @param options: {type, id, provider, issued, textHint, rights, links, publicationUrl, encryptCover}
+   *  - type: the output type, see decipher
+   *  - id, provider, issued, textHint: license fields, id being a random uuid by default
+   *  - rights: {print, copy, start, end} the dates being Date objects or ISO strings
+   *  - links: license links, like the hint link
+   *  - publicationUrl: adds a publication link to the license, with the length and hash of the encrypted publication
+   *  - encryptCover: also encrypts the cover image of epubs, kept in clear by default so it can be displayed in libraries
+   * @returns {Promise<{data, license}>} the encrypted publication, its license being embedded
    */
-  static async decipher(epubData, license, userKey) {
+  static async encrypt(data, userKey, options = {}) {
+    return encryptPublication(toBytes(data), userKey, Object.assign({type: getDefaultOutputType()}, options));
+  }
+
+  /**
+   * Same as decipher, but also reports the resources which could not be deciphered.
+   * Those resources are kept encrypted, along with the LCP license and their encryption.xml entries.
+   * Obfuscated fonts are kept obfuscated, with their encryption.xml entries, unless deobfuscateFonts is set.
+   *
+   * @param epubData
+   * @param license
+   * @param userKey
+   * @param options: {type, deobfuscateFonts}, see decipher
+   * @returns {Promise<{data, failures: Array<{path, error}>}>} errors being CorruptedDataError, InflateError or
+   * LengthMismatchError
+   * @throws {WrongKeyError} if the user key does not open the license
+   */
+  static async decipherWithReport(epubData, license, userKey, {type = getDefaultOutputType(), deobfuscateFonts = false} = {}) {
     const zip = await getZipFromData(epubData);
     license = license || await getLcpLicense(zip);
     const protectedFileMap = await getProtectedFiles(zip);
+    const identifiers = deobfuscateFonts ? await getIdentifiers(zip).catch(() => ({})) : {};
+
+    const files = [];
+    const decipheredPaths = [];
+    const failures = [];
+    for (const filePath of Object.keys(zip.files)) {
+      const zipFile = zip.files[filePath];
+      if (zipFile.dir) {
+        continue;
+      }
 
-    const promises = Object.keys(zip.files).map(async filePath => {
+      let data = await zipFile.async(BYTES_FORMAT);
       const protection = protectedFileMap[makeAbsolutePath(filePath)];
       if (protection && protection.type === LCP_PROTECTION_TYPE) {
         try {
-          const data = await getFile(zip, filePath, BYTES_FORMAT);
-          return {
-            path: filePath,
-            data: await Lcp.decipherFile('arraybuffer', data, protection, license, userKey)
-          }
+          data = await Lcp.decipherFile(BYTES_FORMAT, data, protection, license, userKey);
+          decipheredPaths.push(makeAbsolutePath(filePath));
         } catch (error) {
-          console.warn(`${filePath} was not deciphered`, error);
-          return null;
+          // a wrong key fails every resource, only damaged resources are reported
+          if (error instanceof WrongKeyError) {
+            throw error;
+          }
+          failures.push({path: filePath, error});
         }
+      } else if (protection && protection.algorithm === PROTECTION_METHOD.IDPF_FONT && identifiers.uid) {
+        data = deobfuscateIdpfFont(data, identifiers.uid);
+        decipheredPaths.push(makeAbsolutePath(filePath));
+      } else if (protection && protection.algorithm === PROTECTION_METHOD.ADOBE_FONT && identifiers.uuid) {
+        data = deobfuscateAdobeFont(data, identifiers.uuid);
+        decipheredPaths.push(makeAbsolutePath(filePath));
       }
-      return {
-        path: filePath,
-        data: await zip.file(filePath).async(BYTES_FORMAT)
-      };
-    });
-    const epubFiles = await all(promises, 'decipher-files');
+      files.push({path: filePath, data});
+    }
 
-    const newZip = new JSZip();
-    await all(epubFiles.map(file => {
-      if (!file) {
-        return;
-      }
-      if (file.path === 'META-INF/encryption.xml') {
-        return;
+    files.forEach(file => {
+      if (file.path === ENCRYPTION_FILE_PATH) {
+        file.data = removeEncryptedDataEntries(bytesToString(file.data), decipheredPaths);
       }
-      console.info('adding to zip', file.path);
-      return newZip.file(file.path, file.data);
-    }), 'add-files-to-zip');
+    });
+    const keptFiles = files.filter(file => file.data !== null && (!LICENSE_PATHS.includes(file.path) || failures.length > 0));
 
-    return newZip.generateAsync({type: 'nodebuffer'});
+    return {
+      data: await generateZip(keptFiles, type),
+      failures
+    };
   }
 }
 
@@ -200,9 +423,9 @@ async function getProtections(zip) {
       const retrievalMethod = xmlFile('KeyInfo > RetrievalMethod', element);
       const keyResource = xmlFile('KeyInfo > resource', element);
 
-      if (retrievalMethod) {
+      if (retrievalMethod.length > 0) {
         resourceProtection = retrievalMethod.attr('URI');
-      } else if (keyResource) {
+      } else if (keyResource.length > 0) {
         resourceProtection = keyResource.attr('xmlns');
       } else {
         resourceProtection = encryptionMethod.attr('Algorithm');
@@ -226,7 +449,92 @@ function isAscmFile(epubData) {
     return false;
   }
 
-  return new TextDecoder(UTF8).decode(epubData.slice(1, 17)) === ASCM_XML_ROOT_TAG;
+  // the decoder drops the BOM
+  return ASCM_ROOT_REGEX.test(new TextDecoder(UTF8).decode(epubData.slice(0, ASCM_SNIFF_LENGTH)));
+}
+
+function isUrl(input) {
+  if (typeof URL !== 'undefined' && input instanceof URL) {
+    return true;
+  }
+  return typeof input === 'string' && /^(https?:\/\/|\/)/.test(input);
+}
+
+function toBytes(input) {
+  if (input instanceof Uint8Array) {
+    return input;
+  }
+  if (input instanceof ArrayBuffer) {
+    return new Uint8Array(input);
+  }
+  if (typeof input === 'string') {
+    if (base64regex.test(input.slice(0, 64))) {
+      return binaryToBytes(forge.util.decode64(input));
+    }
+    return new TextEncoder().encode(input);
+  }
+  throw new UnsupportedFormatError(`unsupported input type ${typeof input}`, FORMATS.UNKNOWN);
+}
+
+function isZipData(data) {
+  return ZIP_LOCAL_FILE_HEADER.every((byte, index) => data[index] === byte);
+}
+
+async function openZip(zip, license, keys) {
+  const format = await detectZipFormat(zip);
+  switch (format) {
+    case FORMATS.EPUB:
+      return new ZipEpub(zip, license, keys);
+    case FORMATS.PDF:
+      return new ZipPdf(zip, license, keys);
+    case FORMATS.AUDIOBOOK:
+      return new ZipAudiobook(zip, license, keys);
+    case FORMATS.COMIC:
+      return new ZipComic(zip);
+    case FORMATS.WEBPUB:
+      throw new UnsupportedFormatError('packaged web publications are not supported', format);
+    default:
+      throw new UnsupportedFormatError('no known publication found in zip archive', format);
+  }
+}
+
+async function detectZipFormat(zip) {
+  const mimetypeFile = zip.file('mimetype');
+  if (mimetypeFile) {
+    const mimetype = (await mimetypeFile.async(STRING_FORMAT)).trim();
+    if (mimetype === EPUB_FILE_MIME_TYPE) {
+      return FORMATS.EPUB;
+    }
+  }
+  if (zip.file('META-INF/container.xml')) {
+    return FORMATS.EPUB;
+  }
+  const manifest = await getManifest(zip);
+  if (ZipAudiobook.isAudiobookManifest(manifest)) {
+    return FORMATS.AUDIOBOOK;
+  }
+  if (zip.file(/\.pdf$/).length > 0) {
+    return FORMATS.PDF;
+  }
+  if (manifest) {
+    return FORMATS.WEBPUB;
+  }
+  if (ZipComic.isComicZip(zip)) {
+    return FORMATS.COMIC;
+  }
+  return FORMATS.UNKNOWN;
+}
+
+async function getManifest(zip) {
+  if (!zip.file('manifest.json')) {
+    return null;
+  }
+  try {
+    return JSON.parse(await getFile(zip, 'manifest.json', STRING_FORMAT));
+  } catch (error) {
+    console.warn('Can not parse manifest.json file', error);
+    return null;
+  }
 }
 
 function isZipFile(epubData) {
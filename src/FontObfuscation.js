@@ -0,0 +1,54 @@
+import {binaryToBytes} from './utils';
+
+const sha1 = require('node-forge/lib/sha1');
+
+const IDPF_OBFUSCATED_BYTES = 1040;
+const ADOBE_OBFUSCATED_BYTES = 1024;
+
+/**
+ * De-obfuscates a font obfuscated with the IDPF algorithm: http://www.idpf.org/epub/20/spec/FontManglingSpec.html
+ * The first 1040 bytes are XORed with the SHA-1 of the publication unique identifier
+ *
+ * @param data {Uint8Array}: the obfuscated font data
+ * @param uid {String}: the publication unique identifier
+ * @returns {Uint8Array}
+ */
+export function deobfuscateIdpfFont(data, uid) {
+  return xorHeader(data, getIdpfKey(uid), IDPF_OBFUSCATED_BYTES);
+}
+
+/**
+ * De-obfuscates a font obfuscated with the Adobe algorithm (http://ns.adobe.com/pdf/enc#RC)
+ * The first 1024 bytes are XORed with the 16 bytes of the publication urn:uuid identifier
+ *
+ * @param data {Uint8Array}: the obfuscated font data
+ * @param uuid {String}: the publication urn:uuid identifier
+ * @returns {Uint8Array}
+ */
+export function deobfuscateAdobeFont(data, uuid) {
+  return xorHeader(data, getAdobeKey(uuid), ADOBE_OBFUSCATED_BYTES);
+}
+
+function getIdpfKey(uid) {
+  const md = sha1.create();
+  md.update(uid.replace(/[ \u0009\u000D\u000A]/g, ''), 'utf8');
+  return binaryToBytes(md.digest().getBytes());
+}
+
+function getAdobeKey(uuid) {
+  const hex = uuid.replace(/^urn:uuid:/i, '').replace(/-/g, '');
+  const key = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < key.length; i++) {
+    key[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return key;
+}
+
+function xorHeader(data, key, headerLength) {
+  const result = data.slice(0);
+  const length = Math.min(headerLength, result.length);
+  for (let i = 0; i < length; i++) {
+    result[i] = result[i] ^ key[i % key.length];
+  }
+  return result;
+}
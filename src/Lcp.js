@@ -1,10 +1,25 @@
 import pako from 'pako';
 const forge = require('../vendor/forge.toolkit');
-import {isEmpty} from './utils';
+const sha256 = require('node-forge/lib/sha256');
+import {binaryToBytes, bytesToBinary, convertBytes, isEmpty} from './utils';
+import verifyLicense from './LicenseVerifier';
+import RightsManager from './RightsManager';
+import {CorruptedDataError, InflateError, LengthMismatchError, UnsupportedProfileError, WrongKeyError} from './errors';
+import {
+  aesDecrypt,
+  aesDecryptBlocks,
+  aesDecryptStream,
+  checkEncryptedLength,
+  removePadding,
+  setAesBackend
+} from './utils/aes';
+import {BufferReader, isRangeReader} from './utils/rangeReaders';
 
 const IV_BYTES_SIZE = 16;
+const AES_BLOCK_SIZE = 16;
 const CBC_CHUNK_SIZE = 1024 * 32; // best perf with 32ko chunks
 const ZIP_COMPRESSION_METHOD = 8;
+const CONTENT_KEY_BYTES_SIZE = 32;
 
 export const PROTECTION_METHODS = {
   ADOBE_DRM: 'http://ns.adobe.com/adept',
@@ -14,29 +29,111 @@ export const PROTECTION_METHODS = {
   UNKNOWN: 'unknown'
 };
 
+export {AES_BACKENDS} from './utils/aes';
+
+export const LCP_PROFILES = {
+  BASIC: 'http://readium.org/lcp/basic-profile'
+};
+
+// user key hash algorithms, by their license identifier: user keys are AES-256 keys
+const USER_KEY_ALGORITHMS = {
+  'http://www.w3.org/2001/04/xmlenc#sha256': sha256
+};
+
 class Lcp {
   constructor() {
     this.contextList = {};
   }
 
   /**
-   * Deciphers data and outputs binary data
+   * Deciphers data and outputs a binary string in text mode, bytes otherwise.
+   * The padding, and the original length given by encryption.xml, are checked.
    *
    * @param fetchMode
-   * @param fileData
+   * @param fileData {Uint8Array|ArrayBuffer}
    * @param protection
    * @param license
    * @param key
-   * @returns {Promise}
+   * @returns {Promise<String|Uint8Array>}
+   * @throws {WrongKeyError|UnsupportedProfileError|CorruptedDataError|InflateError|LengthMismatchError}
    */
   async decipherFile(fetchMode, fileData, protection, license, key) {
-    const decipheredRawData = await decipherData.call(this, fileData, license, key);
+    let data = await decipherData.call(this, fileData, license, key);
 
     if (!isEmpty(protection) && protection['compressionMethod'] === ZIP_COMPRESSION_METHOD) {
-      return fetchMode === 'text' ? unzipToString(decipheredRawData) : unzipToArrayBuffer(decipheredRawData);
+      data = unzipToBytes(data);
+    }
+    checkOriginalLength(data, protection);
+
+    return fetchMode === 'text' ? bytesToBinary(toBytes(data)) : data;
+  }
+
+  /**
+   * Deciphers data and outputs it as a stream, inflated if needed, so that large resources are never held twice
+   *
+   * @param fileData {Uint8Array|ArrayBuffer}
+   * @param protection
+   * @param license
+   * @param key
+   * @returns {Promise<ReadableStream<Uint8Array>>} erroring with CorruptedDataError, InflateError or LengthMismatchError
+   * @throws {WrongKeyError|UnsupportedProfileError}
+   */
+  async decipherStream(fileData, protection, license, key) {
+    const context = await getContext.call(this, license, key);
+    return aesDecryptStream(context.contentKeyBytes, toBytes(fileData), {
+      inflate: !isEmpty(protection) && protection['compressionMethod'] === ZIP_COMPRESSION_METHOD,
+      originalLength: isEmpty(protection) ? 0 : protection['originalLength']
+    });
+  }
+
+  /**
+   * Deciphers a range of a resource, reading only the blocks it covers: each encrypted block is the IV of the next one.
+   * Deflated resources can not be deciphered by range.
+   *
+   * @param source {Uint8Array|ArrayBuffer|{size, read}}: the encrypted resource, or a byte-range reader of it
+   * @param start: offset of the first plaintext byte
+   * @param end: offset following the last plaintext byte, the end of the resource by default
+   * @param license
+   * @param key
+   * @returns {Promise<{data: Uint8Array, length: number}>} the plaintext bytes, and the plaintext length of the resource
+   * @throws {WrongKeyError|UnsupportedProfileError|CorruptedDataError}
+   */
+  async decipherRange(source, start, end, license, key) {
+    const context = await getContext.call(this, license, key);
+    const reader = isRangeReader(source) ? source : new BufferReader(toBytes(source));
+
+    const size = await reader.size();
+    checkEncryptedLength(size);
+
+    // the padding, in the last block, gives the plaintext length
+    const lastBlocks = await reader.read(size - 2 * AES_BLOCK_SIZE, 2 * AES_BLOCK_SIZE);
+    const lastBlock = await aesDecryptBlocks(context.contentKeyBytes, lastBlocks.subarray(0, AES_BLOCK_SIZE), lastBlocks.subarray(AES_BLOCK_SIZE));
+    const paddingLength = AES_BLOCK_SIZE - removePadding(lastBlock).length;
+    const length = size - IV_BYTES_SIZE - paddingLength;
+
+    const rangeStart = Math.max(start || 0, 0);
+    const rangeEnd = Math.min(isEmpty(end) ? length : end, length);
+    if (rangeStart >= rangeEnd) {
+      return {data: new Uint8Array(0), length};
     }
 
-    return fetchMode === 'text' ? arrayBuffer2Binary(decipheredRawData) : decipheredRawData;
+    // blocks are read with the one preceding them, which is the IV for the first block
+    const firstBlock = Math.floor(rangeStart / AES_BLOCK_SIZE);
+    const blockCount = Math.floor((rangeEnd - 1) / AES_BLOCK_SIZE) - firstBlock + 1;
+    const encrypted = await reader.read(firstBlock * AES_BLOCK_SIZE, (blockCount + 1) * AES_BLOCK_SIZE);
+    const decrypted = await aesDecryptBlocks(context.contentKeyBytes, encrypted.subarray(0, AES_BLOCK_SIZE), encrypted.subarray(AES_BLOCK_SIZE));
+
+    const offset = firstBlock * AES_BLOCK_SIZE;
+    return {data: decrypted.subarray(rangeStart - offset, rangeEnd - offset), length};
+  }
+
+  /**
+   * Forces the AES backend resources are deciphered with
+   *
+   * @param {string} backend - one of AES_BACKENDS, null to use the fastest available one
+   */
+  setAesBackend(backend) {
+    setAesBackend(backend);
   }
 
   /**
@@ -62,7 +159,7 @@ class Lcp {
    * @returns {Promise<ArrayBuffer>}
    */
   async decipherBinaryFile(fileData, protection, license, key) {
-    return this.decipherFile('arraybuffer', fileData, protection, license, key);
+    return convertBytes(await this.decipherFile('arraybuffer', fileData, protection, license, key), 'arraybuffer');
   }
 
   /**
@@ -106,10 +203,97 @@ class Lcp {
       return false;
     }
   }
+
+  /**
+   * Get the encryption profile of a license, the basic profile if the license does not declare any
+   *
+   * @param {object} license - the parsed LCP license
+   * @return {string}
+   */
+  getProfile(license) {
+    const encryption = (license && license.encryption) || {};
+    return encryption.profile || LCP_PROFILES.BASIC;
+  }
+
+  /**
+   * Hashes a passphrase into a user key, with the algorithm declared by the license
+   *
+   * @param {string} passphrase
+   * @param {object} license - the parsed LCP license
+   * @return {string} the hex encoded user key
+   * @throws {UnsupportedProfileError} if the license profile or its user key algorithm is not supported
+   */
+  hashPassphrase(passphrase, license) {
+    const md = getUserKeyHash(this.getProfile(license), license).create();
+    md.update(passphrase, 'utf8');
+    return md.digest().toHex();
+  }
+
+  /**
+   * Finds the user key of a license among passphrases and stored user keys
+   *
+   * @param {object} license - the parsed LCP license
+   * @param {object} credentials - {passphrases, keys} the candidate passphrases, and hex encoded user keys
+   * @return {Promise} A promise that resolves with {profile, userKey, passphrase}, userKey being null if no candidate
+   * matches the license, and passphrase the matching passphrase if any
+   * @throws {UnsupportedProfileError} if the license profile or its user key algorithm is not supported
+   */
+  async findUserKey(license, {passphrases = [], keys = []} = {}) {
+    const profile = this.getProfile(license);
+    // stored user keys would not match an unsupported license either
+    getUserKeyHash(profile, license);
+
+    const candidates = [
+      ...passphrases.map(passphrase => ({userKey: this.hashPassphrase(passphrase, license), passphrase})),
+      ...keys.map(userKey => ({userKey, passphrase: null}))
+    ];
+
+    for (const candidate of candidates) {
+      if (await this.checkValidity(candidate.userKey, license)) {
+        return Object.assign({profile}, candidate);
+      }
+    }
+    return {profile, userKey: null, passphrase: null};
+  }
+
+  /**
+   * Verifies a license offline: signature, provider certificate and rights dates
+   *
+   * @param {object} license - the parsed LCP license
+   * @param {object} options - {rootCertificate, now} the trusted root certificate and the date rights are evaluated at
+   * @return {Promise} A promise that resolves with the verification result, see LicenseVerifier
+   */
+  async verifyLicense(license, options = {}) {
+    return verifyLicense(license, options);
+  }
+
+  /**
+   * Creates the manager enforcing the print and copy rights of a license
+   *
+   * @param {object} license - the parsed LCP license
+   * @param {object} storage - where consumed rights are kept, in memory by default, see RightsManager
+   * @return {RightsManager}
+   */
+  createRightsManager(license, storage) {
+    return new RightsManager(license, storage);
+  }
 }
 
 export default new Lcp();
 
+function getUserKeyHash(profile, license) {
+  if (!Object.values(LCP_PROFILES).includes(profile)) {
+    throw new UnsupportedProfileError(`LCP profile ${profile} is not supported`, profile);
+  }
+
+  const algorithm = license.encryption.user_key.algorithm;
+  const hash = USER_KEY_ALGORITHMS[algorithm];
+  if (!hash) {
+    throw new UnsupportedProfileError(`LCP user key algorithm ${algorithm} is not supported`, profile, algorithm);
+  }
+  return hash;
+}
+
 /**
  * Creates or returns a LCP context for file data decipher
  *
@@ -123,6 +307,12 @@ async function getContext(license, key) {
     return context;
   }
 
+  // an unsupported profile is reported as such, not as a wrong key
+  getUserKeyHash(this.getProfile(license), license);
+  // checked once, so that a bad passphrase is not taken for damaged content
+  if (!(await this.checkValidity(key, license))) {
+    throw new WrongKeyError(`the user key does not open license ${license.id}`);
+  }
   context = await createContext(license, key);
   this.contextList[`${license['id']}:${key}`] = context;
 
@@ -130,25 +320,36 @@ async function getContext(license, key) {
 }
 
 async function createContext(license, userKey) {
+  let contentKey;
+  try {
+    contentKey = await getContentKey(license, userKey);
+    // the padding is left in place when it is invalid, so a damaged content key has the wrong length
+    if (contentKey.length !== CONTENT_KEY_BYTES_SIZE) {
+      throw new Error(`invalid key length ${contentKey.length}`);
+    }
+  } catch (error) {
+    throw new CorruptedDataError(`the content key of license ${license.id} can not be deciphered: ${error.message}`);
+  }
   return {
-    contentKey: await getContentKey(license, userKey)
+    contentKey,
+    contentKeyBytes: binaryToBytes(contentKey)
   };
 }
 
 async function decipherData(fileData, license, userKey) {
   const context = await getContext.call(this, license, userKey);
-  return decipher(context.contentKey, fileData, 'arraybuffer');
+  return aesDecrypt(context.contentKeyBytes, toBytes(fileData));
 }
 
-function decipher(key, encryptedData, dataType) {
-  if (dataType === 'arraybuffer') {
-    return aesDecipherArrayBuffer(key, encryptedData);
-  }
-  if (dataType === 'blob') {
-    return blobToArrayBuffer(encryptedData)
-      .then(arrayBuffer => aesDecipherArrayBuffer(key, arrayBuffer));
+function checkOriginalLength(data, protection) {
+  const originalLength = isEmpty(protection) ? 0 : protection['originalLength'];
+  if (originalLength > 0 && data.length !== originalLength) {
+    throw new LengthMismatchError(`length ${data.length} does not match original length ${originalLength}`, originalLength, data.length);
   }
-  return aesDecipherBinary(key, encryptedData);
+}
+
+function decipher(key, encryptedBytes) {
+  return aesDecipherBinary(key, encryptedBytes);
 }
 
 function getContentKey(license, userKey) {
@@ -156,42 +357,6 @@ function getContentKey(license, userKey) {
   return decipher(forge.util.hexToBytes(userKey), contentKeyEncrypted);
 }
 
-function aesDecipherArrayBuffer(key, encryptedArrayBuffer) {
-  try {
-    const decipher = forge.cipher.createDecipher('AES-CBC', key);
-    decipher.start({iv: forge.util.createBuffer(encryptedArrayBuffer.slice(0, IV_BYTES_SIZE)).data});
-
-    const length = encryptedArrayBuffer.length || encryptedArrayBuffer.byteLength;
-
-    let index = IV_BYTES_SIZE;
-    let realSize = 0;
-
-    const decryptedBuffer = new Uint8Array(length);
-    do {
-      const bytes = decipher.output.getBytes();
-      if (bytes.length > 0) {
-        const binArray = binary2BinArray(bytes);
-        decryptedBuffer.set(binArray, index - CBC_CHUNK_SIZE - IV_BYTES_SIZE);
-        realSize += bytes.length;
-      }
-
-      const buf = forge.util.createBuffer(encryptedArrayBuffer.slice(index, index + CBC_CHUNK_SIZE));
-      decipher.update(buf);
-      index += CBC_CHUNK_SIZE;
-    } while (index < length);
-
-    decipher.finish();
-
-    const bytes = decipher.output.getBytes();
-    realSize += bytes.length;
-    decryptedBuffer.set(binary2BinArray(bytes), index - CBC_CHUNK_SIZE - IV_BYTES_SIZE);
-
-    return decryptedBuffer.slice(0, realSize);
-  } catch (e) {
-    throw new Error('Decipher failed: ' + e.message);
-  }
-}
-
 function aesDecipherBinary(key, encryptedBytes) {
   try {
     const decipher = forge.cipher.createDecipher('AES-CBC', key);
@@ -218,48 +383,19 @@ function aesDecipherBinary(key, encryptedBytes) {
   }
 }
 
-function blobToArrayBuffer(blob) {
-  return new Promise((resolve, reject) => {
-    const fileReader = new FileReader();
-    fileReader.onload = function () {
-      resolve(this.result);
-    };
-    fileReader.onerror = reject;
-    fileReader.readAsArrayBuffer(blob);
-  });
-}
-
-function binary2BinArray(binary) {
-  const uint8Array = new Uint8Array(binary.length);
-  for (let i = 0; i < uint8Array.length; i++) {
-    uint8Array[i] = binary.charCodeAt(i);
-  }
-  return uint8Array;
-}
-
-function arrayBuffer2Binary(buffer) {
-  let binary = '';
-  const bytes = new Uint8Array(buffer);
-  const length = bytes.byteLength;
-  for (let i = 0; i < length; i++) {
-    binary += String.fromCharCode(bytes[i]);
-  }
-  return binary;
-}
-
-/**
- * @param data ArrayBuffer
- * @returns {ArrayBuffer}
- */
-function unzipToArrayBuffer(data) {
-  return pako.inflateRaw(data, {to: 'array'});
+function toBytes(data) {
+  return data instanceof Uint8Array ? data : new Uint8Array(data);
 }
 
 /**
- *
- * @param data ArrayBuffer
- * @returns {String}
+ * @param data Uint8Array
+ * @returns {Uint8Array}
  */
-function unzipToString(data) {
-  return pako.inflateRaw(data, {to: 'string'});
+function unzipToBytes(data) {
+  try {
+    return pako.inflateRaw(data);
+  } catch (error) {
+    // pako throws its error messages as strings
+    throw new InflateError(`inflate failed: ${error.message || error}`);
+  }
 }
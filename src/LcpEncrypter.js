@@ -0,0 +1,248 @@
+import JSZip from 'jszip';
+import mime from 'mime-types';
+import pako from 'pako';
+import {
+  binaryToBytes,
+  bytesToBinary,
+  escapeXml,
+  formatDate,
+  generateUuid,
+  getOpfFilePath,
+  isEmpty,
+  makeAbsolutePath,
+  parseXml
+} from './utils';
+import {BYTES_FORMAT, generateZip, getCoverPath, getProtectedFiles} from './utils/zipTools';
+
+const forge = require('../vendor/forge.toolkit');
+const random = require('node-forge/lib/random');
+const sha256 = require('node-forge/lib/sha256');
+
+const IV_BYTES_SIZE = 16;
+const CBC_CHUNK_SIZE = 1024 * 32;
+const CONTENT_KEY_BYTES_SIZE = 32;
+const ZIP_COMPRESSION_METHOD = 8;
+
+const LCP_BASIC_PROFILE = 'http://readium.org/lcp/basic-profile';
+const AES256_CBC_ALGORITHM = 'http://www.w3.org/2001/04/xmlenc#aes256-cbc';
+const SHA256_ALGORITHM = 'http://www.w3.org/2001/04/xmlenc#sha256';
+const LCP_KEY_RETRIEVAL = 'license.lcpl#/encryption/content_key';
+const LCP_KEY_TYPE = 'http://readium.org/2014/01/lcp#EncryptedContentKey';
+
+const CONTAINER_PATH = 'META-INF/container.xml';
+const ENCRYPTION_PATH = 'META-INF/encryption.xml';
+const EPUB_LICENSE_PATH = 'META-INF/license.lcpl';
+const PACKAGE_LICENSE_PATH = 'license.lcpl';
+const PDF_PATH = 'publication.pdf';
+const PDF_MAGIC_NUMBER = '%PDF';
+
+// already compressed media, deflating them again would only cost time
+const COMPRESSED_MEDIA_TYPES = /^(image\/(jpeg|png|gif|webp)|audio\/|video\/|font\/woff2?|application\/(font-woff|pdf|zip))/;
+
+/**
+ * Encrypts an epub or a pdf with LCP, the pdf being packaged as a LCP pdf package.
+ * The license is not signed: it is meant for test rigs and distribution flows not relying on a license provider.
+ *
+ * @param data {Uint8Array}: the epub, the pdf or a zip containing the pdf
+ * @param userKey {String}: hex encoded SHA-256 hash of the user passphrase
+ * @param options: see Explorer.encrypt
+ * @returns {Promise<{data, license}>}
+ */
+export default async function encryptPublication(data, userKey, options = {}) {
+  const {
+    type,
+    id = generateUuid(),
+    provider = '',
+    issued = new Date(),
+    textHint = '',
+    rights = {},
+    links = [],
+    publicationUrl = null,
+    encryptCover = false
+  } = options;
+  const contentKey = random.getBytesSync(CONTENT_KEY_BYTES_SIZE);
+
+  const {files, isEpub} = isPdfData(data)
+    ? await encryptPdf(data, contentKey)
+    : await encryptZip(await JSZip.loadAsync(data), contentKey, encryptCover);
+
+  const license = createLicense(forge.util.hexToBytes(userKey), contentKey, {id, provider, issued, textHint, rights, links});
+  if (publicationUrl) {
+    // the publication link describes the encrypted publication, before the license is added to it
+    const publication = await generateZip(files, BYTES_FORMAT);
+    license.links.push({
+      rel: 'publication',
+      href: publicationUrl,
+      type: isEpub ? 'application/epub+zip' : 'application/pdf+lcp',
+      length: publication.length,
+      hash: forge.util.encode64(sha256.create().update(bytesToBinary(publication)).digest().getBytes())
+    });
+  }
+
+  files.push({path: isEpub ? EPUB_LICENSE_PATH : PACKAGE_LICENSE_PATH, data: JSON.stringify(license)});
+  return {
+    data: await generateZip(files, type),
+    license
+  };
+}
+
+async function encryptZip(zip, contentKey, encryptCover) {
+  if (zip.file(/\.pdf$/).length > 0 && !zip.file(CONTAINER_PATH)) {
+    return encryptPdf(await zip.file(/\.pdf$/)[0].async(BYTES_FORMAT), contentKey, zip.file(/\.pdf$/)[0].name);
+  }
+  if (!zip.file(CONTAINER_PATH)) {
+    throw new Error('only epubs and pdfs can be encrypted');
+  }
+
+  const opfPath = getOpfFilePath(parseXml(await zip.file(CONTAINER_PATH).async(BYTES_FORMAT)));
+  const protectedFiles = await getProtectedFiles(zip);
+  if (Object.keys(protectedFiles).some(path => protectedFiles[path].type === LCP_KEY_TYPE)) {
+    throw new Error('the epub is already protected with LCP');
+  }
+  const coverPath = encryptCover ? null : await getCoverPath(zip).then(decodeURI, () => null);
+  const clearPaths = ['mimetype', opfPath, coverPath];
+
+  const files = [];
+  const encryptedData = [];
+  for (const path of Object.keys(zip.files)) {
+    if (zip.files[path].dir || path === ENCRYPTION_PATH || path === EPUB_LICENSE_PATH) {
+      continue;
+    }
+
+    let data = await zip.files[path].async(BYTES_FORMAT);
+    // obfuscated fonts keep their protection
+    if (!clearPaths.includes(path) && path.indexOf('META-INF/') !== 0 && !protectedFiles[makeAbsolutePath(path)]) {
+      const encrypted = encryptResource(data, contentKey, mime.lookup(path) || '');
+      data = encrypted.data;
+      encryptedData.push(createEncryptedData(path, encrypted.originalLength));
+    }
+    files.push({path, data});
+  }
+
+  files.push({path: ENCRYPTION_PATH, data: createEncryptionXml(zip.file(ENCRYPTION_PATH) ? await zip.file(ENCRYPTION_PATH).async('string') : null, encryptedData)});
+  return {files, isEpub: true};
+}
+
+function encryptPdf(data, contentKey, path = PDF_PATH) {
+  const manifest = {
+    '@context': 'https://readium.org/webpub-manifest/context.jsonld',
+    metadata: {title: path.split('/').pop().replace(/\.pdf$/, '')},
+    links: [{rel: 'self', href: 'manifest.json', type: 'application/webpub+json'}],
+    readingOrder: [{
+      href: path,
+      type: 'application/pdf',
+      properties: {encrypted: {scheme: 'http://readium.org/2014/01/lcp', profile: LCP_BASIC_PROFILE, algorithm: AES256_CBC_ALGORITHM}}
+    }]
+  };
+
+  return {
+    files: [
+      {path: 'manifest.json', data: JSON.stringify(manifest)},
+      {path, data: aesEncrypt(contentKey, data)},
+      {path: ENCRYPTION_PATH, data: createEncryptionXml(null, [createEncryptedData(path)])}
+    ],
+    isEpub: false
+  };
+}
+
+function encryptResource(data, contentKey, mediaType) {
+  if (COMPRESSED_MEDIA_TYPES.test(mediaType)) {
+    return {data: aesEncrypt(contentKey, data), originalLength: null};
+  }
+  return {data: aesEncrypt(contentKey, pako.deflateRaw(data)), originalLength: data.length};
+}
+
+function createLicense(userKey, contentKey, {id, provider, issued, textHint, rights, links}) {
+  const license = {
+    id,
+    issued: formatDate(issued),
+    provider,
+    encryption: {
+      profile: LCP_BASIC_PROFILE,
+      content_key: {
+        algorithm: AES256_CBC_ALGORITHM,
+        encrypted_value: forge.util.encode64(bytesToBinary(aesEncrypt(userKey, binaryToBytes(contentKey))))
+      },
+      user_key: {
+        algorithm: SHA256_ALGORITHM,
+        text_hint: textHint,
+        key_check: forge.util.encode64(bytesToBinary(aesEncrypt(userKey, new TextEncoder().encode(id))))
+      }
+    },
+    links: [...links],
+    rights: {}
+  };
+
+  Object.keys(rights)
+    .filter(right => !isEmpty(rights[right]))
+    .forEach(right => {
+      license.rights[right] = rights[right] instanceof Date ? formatDate(rights[right]) : rights[right];
+    });
+  return license;
+}
+
+function createEncryptedData(path, originalLength = null) {
+  const compression = originalLength === null ? '' : `
+    <EncryptionProperties>
+      <EncryptionProperty>
+        <Compression xmlns="http://www.idpf.org/2016/encryption#compression" Method="${ZIP_COMPRESSION_METHOD}" OriginalLength="${originalLength}"/>
+      </EncryptionProperty>
+    </EncryptionProperties>`;
+
+  return `<EncryptedData xmlns="http://www.w3.org/2001/04/xmlenc#">
+    <EncryptionMethod Algorithm="${AES256_CBC_ALGORITHM}"/>
+    <KeyInfo xmlns="http://www.w3.org/2000/09/xmldsig#">
+      <RetrievalMethod URI="${LCP_KEY_RETRIEVAL}" Type="${LCP_KEY_TYPE}"/>
+    </KeyInfo>
+    <CipherData>
+      <CipherReference URI="${escapeXml(encodeURI(path))}"/>
+    </CipherData>${compression}
+  </EncryptedData>`;
+}
+
+function createEncryptionXml(existingXml, encryptedData) {
+  if (existingXml) {
+    const encryptionFile = parseXml(existingXml);
+    encryptionFile('encryption').append(encryptedData.map(data => `  ${data}\n`).join(''));
+    return encryptionFile.xml();
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  ${encryptedData.join('\n  ')}
+</encryption>
+`;
+}
+
+/**
+ * @param key {String}: binary key
+ * @param data {Uint8Array}
+ * @returns {Uint8Array} the IV followed by the encrypted data
+ */
+function aesEncrypt(key, data) {
+  const iv = random.getBytesSync(IV_BYTES_SIZE);
+  const cipher = forge.cipher.createCipher('AES-CBC', key);
+  cipher.start({iv});
+
+  // PKCS#7 padding always adds between 1 and 16 bytes
+  const encrypted = new Uint8Array(IV_BYTES_SIZE + (Math.floor(data.length / IV_BYTES_SIZE) + 1) * IV_BYTES_SIZE);
+  encrypted.set(binaryToBytes(iv));
+
+  let offset = IV_BYTES_SIZE;
+  const flush = () => {
+    const bytes = cipher.output.getBytes();
+    encrypted.set(binaryToBytes(bytes), offset);
+    offset += bytes.length;
+  };
+  for (let index = 0; index < data.length; index += CBC_CHUNK_SIZE) {
+    cipher.update(forge.util.createBuffer(bytesToBinary(data.subarray(index, index + CBC_CHUNK_SIZE))));
+    flush();
+  }
+  cipher.finish();
+  flush();
+
+  return encrypted;
+}
+
+function isPdfData(data) {
+  return bytesToBinary(data.subarray(0, PDF_MAGIC_NUMBER.length)) === PDF_MAGIC_NUMBER;
+}
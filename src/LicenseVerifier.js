@@ -0,0 +1,158 @@
+import {isEmpty} from './utils';
+
+const forge = require('../vendor/forge.toolkit');
+const pki = require('node-forge/lib/x509');
+const asn1 = require('node-forge/lib/asn1');
+const sha256 = require('node-forge/lib/sha256');
+
+const RSA_SHA256_ALGORITHM = 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256';
+
+/**
+ * Verifies a LCP license offline: its signature, the provider certificate and the rights dates
+ * See https://readium.org/lcp-specs/releases/lcp/latest#5-signature-and-public-key-infrastructure
+ *
+ * @param license: the parsed license
+ * @param options: {rootCertificate, now}
+ *  - rootCertificate: the trusted root certificate, as a PEM string, a base64 DER string or a forge certificate.
+ *    Without it the provider can not be trusted: the license is never valid and a CERTIFICATE_UNCHECKED error is
+ *    reported, signatureValid, certificateValid and rightsValid still telling whether the license is intact and usable.
+ *  - now: the date the rights are evaluated at, the current date by default
+ * @returns {{valid, signatureValid, certificateTrusted, certificateValid, rightsValid, start, end, errors: Array<{code, message}>}}
+ * checks which could not be performed being null, valid requiring a trusted provider certificate
+ */
+export default function verifyLicense(license, {rootCertificate = null, now = new Date()} = {}) {
+  const errors = [];
+  const report = (code, message) => errors.push({code, message});
+
+  const result = {
+    valid: false,
+    signatureValid: null,
+    certificateTrusted: null,
+    certificateValid: null,
+    rightsValid: null,
+    start: null,
+    end: null,
+    errors
+  };
+
+  const certificate = checkSignature(license, result, report);
+  if (certificate) {
+    checkCertificateDates(license, certificate, result, report);
+    if (rootCertificate) {
+      checkCertificateChain(certificate, rootCertificate, result, report);
+    } else {
+      report('CERTIFICATE_UNCHECKED', 'provider certificate can not be trusted without a root certificate');
+    }
+  }
+  checkRights(license, now, result, report);
+
+  result.valid = errors.length === 0 && result.certificateTrusted === true;
+  return result;
+}
+
+/**
+ * Serializes a license the way it is signed: without its signature, properties sorted and no whitespace
+ *
+ * @param license
+ * @returns {String}
+ */
+export function canonicalizeLicense(license) {
+  const unsignedLicense = Object.assign({}, license);
+  delete unsignedLicense.signature;
+  return canonicalize(unsignedLicense);
+}
+
+function checkSignature(license, result, report) {
+  const signature = license.signature;
+  if (isEmpty(signature) || isEmpty(signature.value) || isEmpty(signature.certificate)) {
+    report('SIGNATURE_MISSING', 'license is not signed');
+    result.signatureValid = false;
+    return null;
+  }
+
+  let certificate;
+  try {
+    certificate = parseCertificate(signature.certificate);
+  } catch (error) {
+    report('CERTIFICATE_INVALID', `provider certificate can not be parsed: ${error.message}`);
+    result.signatureValid = false;
+    return null;
+  }
+
+  if (signature.algorithm !== RSA_SHA256_ALGORITHM) {
+    report('SIGNATURE_ALGORITHM_UNSUPPORTED', `signature algorithm ${signature.algorithm} is not supported`);
+    return certificate;
+  }
+
+  try {
+    const md = sha256.create();
+    md.update(canonicalizeLicense(license), 'utf8');
+    result.signatureValid = certificate.publicKey.verify(md.digest().getBytes(), forge.util.decode64(signature.value));
+  } catch (error) {
+    result.signatureValid = false;
+  }
+  if (!result.signatureValid) {
+    report('SIGNATURE_INVALID', 'license signature does not match its content');
+  }
+  return certificate;
+}
+
+function checkCertificateDates(license, certificate, result, report) {
+  // the certificate must have been valid when the license was last updated, not now
+  const signingDate = new Date(license.updated || license.issued);
+  if (isNaN(signingDate.getTime())) {
+    report('LICENSE_DATE_INVALID', 'license has no valid issued or updated date');
+    result.certificateValid = false;
+    return;
+  }
+
+  result.certificateValid = certificate.validity.notBefore <= signingDate && signingDate <= certificate.validity.notAfter;
+  if (!result.certificateValid) {
+    report('CERTIFICATE_EXPIRED', `provider certificate was not valid on ${signingDate.toISOString()}`);
+  }
+}
+
+function checkCertificateChain(certificate, rootCertificate, result, report) {
+  try {
+    const root = typeof rootCertificate === 'string' ? parseCertificate(rootCertificate) : rootCertificate;
+    result.certificateTrusted = root.issued(certificate) && root.verify(certificate);
+  } catch (error) {
+    result.certificateTrusted = false;
+  }
+  if (!result.certificateTrusted) {
+    report('CERTIFICATE_UNTRUSTED', 'provider certificate is not issued by the trusted root certificate');
+  }
+}
+
+function checkRights(license, now, result, report) {
+  const rights = license.rights || {};
+  result.start = isEmpty(rights.start) ? null : new Date(rights.start);
+  result.end = isEmpty(rights.end) ? null : new Date(rights.end);
+  result.rightsValid = true;
+
+  if (result.start && now < result.start) {
+    report('LICENSE_NOT_STARTED', `license is only valid from ${result.start.toISOString()}`);
+    result.rightsValid = false;
+  }
+  if (result.end && now > result.end) {
+    report('LICENSE_EXPIRED', `license expired on ${result.end.toISOString()}`);
+    result.rightsValid = false;
+  }
+}
+
+function parseCertificate(certificate) {
+  if (certificate.indexOf('-----BEGIN') !== -1) {
+    return pki.certificateFromPem(certificate);
+  }
+  return pki.certificateFromAsn1(asn1.fromDer(forge.util.decode64(certificate)));
+}
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).filter(key => value[key] !== undefined).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
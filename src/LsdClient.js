@@ -0,0 +1,198 @@
+import {isEmpty} from './utils';
+import {LsdError} from './errors';
+
+const STATUS_LINK_TYPE = 'application/vnd.readium.license.status.v1.0+json';
+const LICENSE_LINK_TYPE = 'application/vnd.readium.lcp.license.v1.0+json';
+
+/**
+ * Client of the License Status Document protocol: https://readium.org/lcp-specs/releases/lsd/latest
+ * The status document is found through the status link of the license.
+ */
+class LsdClient {
+
+  /**
+   * @param license: the parsed LCP license
+   * @param options: {fetch, deviceId, deviceName} the device identifies itself on register, renew and return calls
+   */
+  constructor(license, {fetch: fetchFunction, deviceId, deviceName} = {}) {
+    this._license = license;
+    this._fetch = fetchFunction || ((...args) => fetch(...args));
+    this._deviceId = deviceId;
+    this._deviceName = deviceName;
+    this._statusDocument = null;
+  }
+
+  getLicense() {
+    return this._license;
+  }
+
+  /**
+   * Fetches the status document
+   *
+   * @param options: {refresh} fetch it again even if it has already been fetched
+   * @returns {Promise<Object>}
+   */
+  async getStatusDocument({refresh = false} = {}) {
+    if (this._statusDocument && !refresh) {
+      return this._statusDocument;
+    }
+
+    const statusLink = findLink(this._license.links, 'status');
+    if (!statusLink) {
+      throw new LsdError('license has no status link');
+    }
+    this._statusDocument = await this._request(statusLink.href);
+    return this._statusDocument;
+  }
+
+  /**
+   * Get the status of the license
+   *
+   * @returns {Promise<{status, message, updated, events, potentialRights}>}
+   * the status being 'ready', 'active', 'revoked', 'returned', 'cancelled' or 'expired',
+   * updated: {license, status} the last update dates, potentialRights: {end} the maximal end date of a renewal
+   */
+  async getStatus() {
+    const statusDocument = await this.getStatusDocument();
+    return {
+      status: statusDocument.status,
+      message: statusDocument.message,
+      updated: {
+        license: toDate((statusDocument.updated || {}).license),
+        status: toDate((statusDocument.updated || {}).status)
+      },
+      events: (statusDocument.events || []).map(event => Object.assign({}, event, {timestamp: toDate(event.timestamp)})),
+      potentialRights: {
+        end: toDate((statusDocument.potential_rights || {}).end)
+      }
+    };
+  }
+
+  /**
+   * Registers the device
+   *
+   * @returns {Promise<Object>} the updated status document
+   */
+  async register() {
+    return this._interact('register', 'POST');
+  }
+
+  /**
+   * Extends a loan
+   *
+   * @param end {Date}: the requested end date, the server choosing it if missing
+   * @returns {Promise<Object>} the updated status document
+   */
+  async renew(end = null) {
+    return this._interact('renew', 'PUT', end ? {end: end.toISOString()} : {});
+  }
+
+  /**
+   * Returns a loan
+   *
+   * @returns {Promise<Object>} the updated status document
+   */
+  async return() {
+    return this._interact('return', 'PUT');
+  }
+
+  /**
+   * Downloads the license from the status document
+   *
+   * @returns {Promise<Object>}
+   */
+  async fetchLicense() {
+    const statusDocument = await this.getStatusDocument();
+    const licenseLink = findLink(statusDocument.links, 'license');
+    if (!licenseLink) {
+      throw new LsdError('status document has no license link');
+    }
+    return this._request(licenseLink.href, {headers: {Accept: licenseLink.type || LICENSE_LINK_TYPE}});
+  }
+
+  /**
+   * Downloads the license if the status document tells it has been updated
+   *
+   * @returns {Promise<Object|null>} the fresher license, null if the license is up to date
+   */
+  async refreshLicense() {
+    const {updated} = await this.getStatus();
+    const licenseDate = toDate(this._license.updated || this._license.issued);
+    if (!updated.license || (licenseDate && updated.license <= licenseDate)) {
+      return null;
+    }
+
+    const license = await this.fetchLicense();
+    if (license.id !== this._license.id) {
+      throw new LsdError(`downloaded license ${license.id} does not match license ${this._license.id}`);
+    }
+    this._license = license;
+    return license;
+  }
+
+  /**
+   * Refreshes the license of a publication, the new license being written by the next save of the publication
+   *
+   * @param ebook: a ZipEpub
+   * @returns {Promise<Object|null>} the fresher license, null if the license is up to date
+   */
+  async updatePublication(ebook) {
+    const license = await this.refreshLicense();
+    if (license) {
+      await ebook.setLicense(license);
+    }
+    return license;
+  }
+
+  async _interact(rel, method, params = {}) {
+    const statusDocument = await this.getStatusDocument();
+    const link = findLink(statusDocument.links, rel);
+    if (!link) {
+      throw new LsdError(`${rel} is not available for this license`);
+    }
+
+    const url = link.templated ? expandTemplate(link.href, Object.assign({id: this._deviceId, name: this._deviceName}, params)) : link.href;
+    this._statusDocument = await this._request(url, {method, headers: {Accept: STATUS_LINK_TYPE}});
+    return this._statusDocument;
+  }
+
+  async _request(url, options = {}) {
+    const response = await this._fetch(url, options);
+    if (!response.ok) {
+      // servers describe errors with problem details, https://tools.ietf.org/html/rfc7807
+      const problem = await response.json().catch(() => null);
+      const detail = problem && (problem.detail || problem.title);
+      throw new LsdError(`${options.method || 'GET'} ${url} failed with status ${response.status}${detail ? `: ${detail}` : ''}`, response.status, problem);
+    }
+    return response.json();
+  }
+}
+
+export default LsdClient;
+
+function findLink(links, rel) {
+  return (links || []).find(link => link.rel === rel || (Array.isArray(link.rel) && link.rel.includes(rel)));
+}
+
+/**
+ * Expands the simple and form-style query expressions of URI templates, the ones used by status documents
+ *
+ * @param template: like "https://lsd.example.com/licenses/1/renew{?end,id,name}"
+ * @param params
+ * @returns {String}
+ */
+function expandTemplate(template, params) {
+  return template.replace(/\{([?&]?)([^}]+)\}/g, (expression, operator, names) => {
+    const values = names.split(',')
+      .filter(name => !isEmpty(params[name]))
+      .map(name => operator ? `${name}=${encodeURIComponent(params[name])}` : encodeURIComponent(params[name]));
+    if (!operator) {
+      return values.join(',');
+    }
+    return isEmpty(values) ? '' : `${operator}${values.join('&')}`;
+  });
+}
+
+function toDate(value) {
+  return isEmpty(value) ? null : new Date(value);
+}
@@ -0,0 +1,306 @@
+import pako from 'pako';
+import {convertBytes} from './utils';
+import {BufferReader} from './utils/rangeReaders';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const EOCD_MIN_SIZE = 22;
+const EOCD_MAX_COMMENT_SIZE = 0xffff;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_LOCATOR_SIZE = 20;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP64_EOCD_SIZE = 56;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const CENTRAL_DIRECTORY_HEADER_SIZE = 46;
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const LOCAL_FILE_HEADER_SIZE = 30;
+const UTF8_NAME_FLAG = 0x0800;
+const ENCRYPTED_FLAG = 0x0001;
+
+const STORE_METHOD = 0;
+const DEFLATE_METHOD = 8;
+
+/**
+ * Read-only zip archive reading its central directory and entries on demand through a byte-range reader.
+ * It exposes the subset of the JSZip API used by the toolkit, so it can be used wherever a JSZip instance is expected.
+ *
+ * A byte-range reader is any object implementing:
+ * - size(): Promise<number>
+ * - read(offset, length): Promise<Uint8Array>
+ */
+class RangeZip {
+
+  constructor(reader, entries) {
+    this._reader = reader;
+    this.files = {};
+    entries.forEach(entry => {
+      this.files[entry.name] = new RangeZipObject(reader, entry);
+    });
+  }
+
+  /**
+   * Reads the central directory of the zip archive behind the reader
+   *
+   * @param reader: a byte-range reader
+   * @returns {Promise<RangeZip>}
+   */
+  static async load(reader) {
+    const size = await reader.size();
+    const directory = await readCentralDirectoryLocation(reader, size);
+    const centralDirectory = await reader.read(directory.offset, directory.size);
+    return new RangeZip(reader, parseCentralDirectory(centralDirectory, directory.entryCount));
+  }
+
+  /**
+   * Same as JSZip.file: get a file by its name or all the files matching a regex
+   *
+   * @param name {String|RegExp}
+   * @returns {RangeZipObject|Array<RangeZipObject>|null}
+   */
+  file(name) {
+    if (name instanceof RegExp) {
+      return Object.keys(this.files)
+        .map(path => this.files[path])
+        .filter(file => !file.dir && name.test(file.name));
+    }
+
+    const file = this.files[name];
+    return file && !file.dir ? file : null;
+  }
+}
+
+export default RangeZip;
+
+class RangeZipObject {
+
+  constructor(reader, entry) {
+    this._reader = reader;
+    this._entry = entry;
+    this.name = entry.name;
+    this.dir = entry.name[entry.name.length - 1] === '/';
+    this.date = entry.date;
+    this.comment = entry.comment;
+  }
+
+  /**
+   * Same as JSZip ZipObject.async: reads and inflates the entry, and outputs it in the given format
+   *
+   * @param format: 'string', 'text', 'uint8array', 'arraybuffer', 'nodebuffer', 'base64' or 'blob'
+   * @returns {Promise}
+   */
+  async async(format) {
+    const data = await this.readData();
+    return convertBytes(data, format);
+  }
+
+  /**
+   * Reads the raw (compressed) data of the entry
+   *
+   * @returns {Promise<Uint8Array>}
+   */
+  async readRawData() {
+    const {compressedSize} = this._entry;
+    const dataOffset = await this._getDataOffset();
+    if (compressedSize === 0) {
+      return new Uint8Array(0);
+    }
+    return this._reader.read(dataOffset, compressedSize);
+  }
+
+  /**
+   * Get a byte-range reader of the entry data: stored entries are read by range, compressed ones are inflated first
+   *
+   * @returns {Promise<{size, read}>}
+   */
+  async createReader() {
+    if (this._entry.compressionMethod !== STORE_METHOD) {
+      return new BufferReader(await this.readData());
+    }
+    return new EntryReader(this._reader, await this._getDataOffset(), this._entry.compressedSize);
+  }
+
+  /**
+   * Reads and inflates the data of the entry
+   *
+   * @returns {Promise<Uint8Array>}
+   */
+  async readData() {
+    const rawData = await this.readRawData();
+    switch (this._entry.compressionMethod) {
+      case STORE_METHOD:
+        return rawData;
+      case DEFLATE_METHOD:
+        return pako.inflateRaw(rawData);
+      default:
+        throw new Error(`unsupported compression method ${this._entry.compressionMethod} for zip entry ${this.name}`);
+    }
+  }
+
+  async _getDataOffset() {
+    const {localHeaderOffset, flags} = this._entry;
+    if (flags & ENCRYPTED_FLAG) {
+      throw new Error(`zip entry ${this.name} is encrypted`);
+    }
+
+    const header = await this._reader.read(localHeaderOffset, LOCAL_FILE_HEADER_SIZE);
+    const view = toDataView(header);
+    if (view.getUint32(0, true) !== LOCAL_FILE_HEADER_SIGNATURE) {
+      throw new Error(`invalid local file header for zip entry ${this.name}`);
+    }
+    return localHeaderOffset + LOCAL_FILE_HEADER_SIZE + view.getUint16(26, true) + view.getUint16(28, true);
+  }
+}
+
+/**
+ * Byte-range reader of the data of a stored entry
+ */
+class EntryReader {
+
+  constructor(reader, offset, size) {
+    this._reader = reader;
+    this._offset = offset;
+    this._size = size;
+  }
+
+  async size() {
+    return this._size;
+  }
+
+  async read(offset, length) {
+    const end = Math.min(offset + length, this._size);
+    if (end <= offset) {
+      return new Uint8Array(0);
+    }
+    return this._reader.read(this._offset + offset, end - offset);
+  }
+}
+
+async function readCentralDirectoryLocation(reader, size) {
+  const tailSize = Math.min(size, EOCD_MIN_SIZE + EOCD_MAX_COMMENT_SIZE);
+  const tailOffset = size - tailSize;
+  const tail = await reader.read(tailOffset, tailSize);
+  const tailView = toDataView(tail);
+
+  let eocdIndex = -1;
+  for (let i = tail.length - EOCD_MIN_SIZE; i >= 0; i--) {
+    if (tailView.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocdIndex = i;
+      break;
+    }
+  }
+  if (eocdIndex === -1) {
+    throw new Error('end of central directory not found, data is not a zip archive');
+  }
+
+  const location = {
+    entryCount: tailView.getUint16(eocdIndex + 10, true),
+    size: tailView.getUint32(eocdIndex + 12, true),
+    offset: tailView.getUint32(eocdIndex + 16, true)
+  };
+
+  const isZip64 = location.entryCount === 0xffff || location.size === 0xffffffff || location.offset === 0xffffffff;
+  const locatorIndex = eocdIndex - ZIP64_EOCD_LOCATOR_SIZE;
+  if (isZip64 && locatorIndex >= 0 && tailView.getUint32(locatorIndex, true) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+    const zip64EocdOffset = getUint64(tailView, locatorIndex + 8);
+    const zip64Eocd = toDataView(await reader.read(zip64EocdOffset, ZIP64_EOCD_SIZE));
+    if (zip64Eocd.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('invalid zip64 end of central directory');
+    }
+    location.entryCount = getUint64(zip64Eocd, 32);
+    location.size = getUint64(zip64Eocd, 40);
+    location.offset = getUint64(zip64Eocd, 48);
+  }
+
+  return location;
+}
+
+function parseCentralDirectory(data, entryCount) {
+  const view = toDataView(data);
+  const entries = [];
+
+  let index = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(index, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error('invalid central directory file header');
+    }
+
+    const flags = view.getUint16(index + 8, true);
+    const nameLength = view.getUint16(index + 28, true);
+    const extraLength = view.getUint16(index + 30, true);
+    const commentLength = view.getUint16(index + 32, true);
+    const nameStart = index + CENTRAL_DIRECTORY_HEADER_SIZE;
+    const extraStart = nameStart + nameLength;
+    const commentStart = extraStart + extraLength;
+
+    const entry = {
+      name: decodeName(data.subarray(nameStart, extraStart), flags),
+      flags,
+      compressionMethod: view.getUint16(index + 10, true),
+      date: decodeDosDate(view.getUint16(index + 14, true), view.getUint16(index + 12, true)),
+      crc32: view.getUint32(index + 16, true),
+      compressedSize: view.getUint32(index + 20, true),
+      uncompressedSize: view.getUint32(index + 24, true),
+      localHeaderOffset: view.getUint32(index + 42, true),
+      comment: decodeName(data.subarray(commentStart, commentStart + commentLength), flags)
+    };
+    applyZip64ExtraField(entry, view, extraStart, extraLength);
+
+    entries.push(entry);
+    index = commentStart + commentLength;
+  }
+
+  return entries;
+}
+
+function applyZip64ExtraField(entry, view, start, length) {
+  let index = start;
+  while (index + 4 <= start + length) {
+    const fieldId = view.getUint16(index, true);
+    const fieldSize = view.getUint16(index + 2, true);
+    if (fieldId === ZIP64_EXTRA_FIELD_ID) {
+      let valueIndex = index + 4;
+      ['uncompressedSize', 'compressedSize', 'localHeaderOffset'].forEach(key => {
+        if (entry[key] === 0xffffffff) {
+          entry[key] = getUint64(view, valueIndex);
+          valueIndex += 8;
+        }
+      });
+      return;
+    }
+    index += 4 + fieldSize;
+  }
+}
+
+function decodeName(bytes, flags) {
+  if (typeof TextDecoder === 'undefined') {
+    return String.fromCharCode.apply(null, bytes);
+  }
+  if (flags & UTF8_NAME_FLAG) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+  // no utf-8 flag: names are supposed to be IBM437 encoded, but most tools write utf-8 anyway
+  try {
+    return new TextDecoder('utf-8', {fatal: true}).decode(bytes);
+  } catch (error) {
+    return String.fromCharCode.apply(null, bytes);
+  }
+}
+
+function decodeDosDate(date, time) {
+  return new Date(
+    ((date >> 9) & 0x7f) + 1980,
+    ((date >> 5) & 0x0f) - 1,
+    date & 0x1f,
+    (time >> 11) & 0x1f,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  );
+}
+
+function getUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+function toDataView(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
@@ -0,0 +1,123 @@
+import {MemoryRightsStorage} from './utils/rightsStorages';
+
+/**
+ * Enforces the print and copy rights of a LCP license: rights.print is a number of pages, rights.copy a number of
+ * characters, a missing right meaning no limit. Consumed amounts are kept in a storage so limits survive reloads.
+ */
+class RightsManager {
+
+  /**
+   * @param license: the parsed LCP license
+   * @param storage: MemoryRightsStorage, JsonFileRightsStorage, IndexedDbRightsStorage or any object implementing
+   * get(licenseId) and set(licenseId, counters), in memory by default
+   */
+  constructor(license, storage = new MemoryRightsStorage()) {
+    this._license = license;
+    this._storage = storage;
+    // consumptions are queued so that concurrent calls can not both pass the check
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Get the limits and the consumed amounts of the print and copy rights
+   *
+   * @returns {Promise<{print: {limit, consumed, remaining}, copy: {limit, consumed, remaining}}>}
+   * limit and remaining being null when the right is not limited
+   */
+  async getRights() {
+    const counters = await this._getCounters();
+    return {
+      print: describeRight(this._getLimit('print'), counters.print),
+      copy: describeRight(this._getLimit('copy'), counters.copy)
+    };
+  }
+
+  async canCopy(text) {
+    return this._can('copy', countCharacters(text));
+  }
+
+  /**
+   * Records the copy of a text if the copy right allows it
+   *
+   * @param text
+   * @returns {Promise<boolean>} false if the text can not be copied, nothing being recorded then
+   * @throws {Error} if text is not a string
+   */
+  async consumeCopy(text) {
+    return this._consume('copy', countCharacters(text));
+  }
+
+  async canPrint(pages) {
+    checkPages(pages);
+    return this._can('print', pages);
+  }
+
+  /**
+   * Records the print of pages if the print right allows it
+   *
+   * @param pages: the number of printed pages
+   * @returns {Promise<boolean>} false if the pages can not be printed, nothing being recorded then
+   * @throws {Error} if pages is not a non-negative integer
+   */
+  async consumePrint(pages) {
+    checkPages(pages);
+    return this._consume('print', pages);
+  }
+
+  async _can(right, amount) {
+    const {remaining} = (await this.getRights())[right];
+    return remaining === null || amount <= remaining;
+  }
+
+  _consume(right, amount) {
+    // a negative amount would give rights back, a NaN one would corrupt the stored counters
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+      return Promise.reject(new Error(`invalid ${right} amount ${amount}`));
+    }
+    const consumption = this._queue.then(async () => {
+      if (!(await this._can(right, amount))) {
+        return false;
+      }
+      const counters = await this._getCounters();
+      counters[right] += amount;
+      await this._storage.set(this._license.id, counters);
+      return true;
+    });
+    this._queue = consumption.catch(() => null);
+    return consumption;
+  }
+
+  async _getCounters() {
+    const counters = await this._storage.get(this._license.id);
+    return Object.assign({print: 0, copy: 0}, counters);
+  }
+
+  _getLimit(right) {
+    const limit = (this._license.rights || {})[right];
+    return typeof limit === 'number' ? limit : null;
+  }
+}
+
+export default RightsManager;
+
+function describeRight(limit, consumed) {
+  return {
+    limit,
+    consumed,
+    remaining: limit === null ? null : Math.max(limit - consumed, 0)
+  };
+}
+
+function checkPages(pages) {
+  if (!Number.isInteger(pages) || pages < 0) {
+    throw new Error(`invalid page count ${pages}`);
+  }
+}
+
+function countCharacters(text) {
+  if (typeof text !== 'string') {
+    throw new Error(`invalid copied text ${text}`);
+  }
+  // characters, not UTF-16 code units
+  return Array.from(text).length;
+}
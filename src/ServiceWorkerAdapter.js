@@ -0,0 +1,106 @@
+import {createPublication, findPrefix, normalizePrefix, servePublicationFile} from './utils/publicationServer';
+
+/**
+ * Serves opened publications from a service worker.
+ * Each publication is mounted under a virtual URL scope, and fetches of its resources are answered with their
+ * deciphered and de-obfuscated data, so that spine documents can be loaded in an iframe without any rewriting.
+ *
+ * In the service worker:
+ *   const adapter = new ServiceWorkerAdapter();
+ *   adapter.mount('/publications/1/', ebook);
+ *   self.addEventListener('fetch', event => adapter.handleFetch(event));
+ */
+class ServiceWorkerAdapter {
+
+  /**
+   * @param options: {baseUrl} URL relative scopes are resolved against, the service worker location by default
+   */
+  constructor({baseUrl = getDefaultBaseUrl()} = {}) {
+    this._baseUrl = baseUrl;
+    this._publications = {};
+    this._mountCount = 0;
+  }
+
+  /**
+   * Mounts a publication under a virtual URL scope
+   *
+   * @param scope: absolute or relative URL, like "/publications/1/"
+   * @param ebook: an opened publication (ZipEpub, ZipPdf...)
+   * @returns {String} the absolute URL of the scope, the manifest of the publication being served at <scope>/manifest.json
+   */
+  mount(scope, ebook) {
+    const prefix = this._resolveScope(scope);
+    this._publications[prefix] = createPublication(ebook, this._mountCount++);
+    return `${prefix}/`;
+  }
+
+  unmount(scope) {
+    delete this._publications[this._resolveScope(scope)];
+  }
+
+  /**
+   * Answers a fetch event if it targets a mounted publication, leaving it to the network otherwise
+   *
+   * @param event: a FetchEvent
+   * @returns {boolean} true if the event has been answered
+   */
+  handleFetch(event) {
+    if (!this.handles(event.request.url)) {
+      return false;
+    }
+    event.respondWith(this.respond(event.request));
+    return true;
+  }
+
+  handles(url) {
+    return findPrefix(Object.keys(this._publications), stripQuery(url)) !== null;
+  }
+
+  /**
+   * Get the response to a request on a mounted publication
+   *
+   * @param request: a Request
+   * @returns {Promise<Response>}
+   */
+  async respond(request) {
+    const url = stripQuery(request.url);
+    const prefix = findPrefix(Object.keys(this._publications), url);
+    if (prefix === null) {
+      return new Response(null, {status: 404});
+    }
+
+    let path;
+    try {
+      path = decodeURIComponent(url.substr(prefix.length + 1));
+    } catch (error) {
+      // malformed percent-encoding
+      return new Response(null, {status: 400});
+    }
+
+    try {
+      const {status, headers, data} = await servePublicationFile(this._publications[prefix], path, {
+        method: request.method,
+        range: request.headers.get('Range'),
+        ifNoneMatch: request.headers.get('If-None-Match')
+      });
+      return new Response(data, {status, headers});
+    } catch (error) {
+      console.warn(`Can’t serve ${request.url}`, error);
+      return new Response(null, {status: 500});
+    }
+  }
+
+  _resolveScope(scope) {
+    return normalizePrefix(new URL(scope, this._baseUrl).href);
+  }
+}
+
+export default ServiceWorkerAdapter;
+
+function getDefaultBaseUrl() {
+  return typeof self !== 'undefined' && self.location ? self.location.href : 'http://localhost/';
+}
+
+function stripQuery(url) {
+  return url.split(/[?#]/)[0];
+}
@@ -0,0 +1,118 @@
+import http from 'http';
+import {createPublication, findPrefix, normalizePrefix, servePublicationFile} from './utils/publicationServer';
+
+/**
+ * HTTP server streaming the resources of opened publications, Node.js only.
+ * Each publication is mounted under a URL prefix, its resources being deciphered and de-obfuscated on the fly,
+ * and a generated manifest.json makes it readable by WebEpub.
+ */
+class Streamer {
+
+  /**
+   * @param options: {cors} add CORS headers allowing any origin, true by default
+   */
+  constructor({cors = true} = {}) {
+    this._cors = cors;
+    this._publications = {};
+    this._mountCount = 0;
+    this._server = null;
+  }
+
+  /**
+   * Mounts a publication under a URL prefix
+   *
+   * @param prefix: URL prefix, like "/books/1"
+   * @param ebook: an opened publication (ZipEpub, ZipPdf...)
+   */
+  mount(prefix, ebook) {
+    this._publications[normalizePrefix(prefix)] = createPublication(ebook, this._mountCount++);
+  }
+
+  unmount(prefix) {
+    delete this._publications[normalizePrefix(prefix)];
+  }
+
+  /**
+   * Get a request listener to plug the streamer in an existing http server
+   *
+   * @returns {function(req, res)}
+   */
+  handler() {
+    return (request, response) => {
+      this.handle(request, response).catch(error => {
+        console.warn(`Can’t serve ${request.url}`, error);
+        if (!response.headersSent) {
+          response.writeHead(500);
+        }
+        response.end();
+      });
+    };
+  }
+
+  /**
+   * Starts an http server
+   *
+   * @param port: 0 for a random port
+   * @param host
+   * @returns {Promise<String>} the base url of the server
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this._server = http.createServer(this.handler());
+      this._server.once('error', reject);
+      this._server.listen(port, host, () => {
+        resolve(`http://${host}:${this._server.address().port}`);
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this._server) {
+        resolve();
+        return;
+      }
+      this._server.close(error => error ? reject(error) : resolve());
+      this._server = null;
+    });
+  }
+
+  async handle(request, response) {
+    if (this._cors) {
+      response.setHeader('Access-Control-Allow-Origin', '*');
+      response.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Length, Content-Range, ETag');
+    }
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, {'Access-Control-Allow-Headers': 'Range, If-None-Match'});
+      response.end();
+      return;
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(request.url.split('?')[0]);
+    } catch (error) {
+      // malformed percent-encoding, like "%E0%A4%A"
+      response.writeHead(400);
+      response.end();
+      return;
+    }
+    const prefix = findPrefix(Object.keys(this._publications), pathname);
+    if (prefix === null) {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+
+    const {status, headers, data} = await servePublicationFile(this._publications[prefix], pathname.substr(prefix.length + 1), {
+      method: request.method,
+      range: request.headers['range'],
+      ifNoneMatch: request.headers['if-none-match']
+    });
+
+    response.writeHead(status, headers);
+    response.end(data ? Buffer.from(data.buffer, data.byteOffset, data.byteLength) : undefined);
+  }
+}
+
+export default Streamer;
@@ -79,3 +79,34 @@ function setPositions(items, level, endpoints) {
   }
   return endpoints;
 }
+
+/**
+ * Parses the landmarks of an ePub 3 navigation document, or the guide of an ePub 2 package document
+ *
+ * @param basePath
+ * @param document: the parsed navigation or package document
+ * @returns {Array<{href, title, type}>}
+ */
+export function parseLandmarks(basePath, document) {
+  const landmarks = [];
+
+  document('nav[epub\\:type="landmarks"] a').each((index, element) => {
+    const link = document(element);
+    landmarks.push({
+      href: `${basePath}${link.attr('href').trim()}`,
+      title: link.text().trim(),
+      type: link.attr('epub:type')
+    });
+  });
+
+  document('guide > reference').each((index, element) => {
+    const reference = document(element);
+    landmarks.push({
+      href: `${basePath}${reference.attr('href').trim()}`,
+      title: reference.attr('title'),
+      type: reference.attr('type')
+    });
+  });
+
+  return landmarks;
+}
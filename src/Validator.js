@@ -0,0 +1,274 @@
+import cheerio from 'cheerio';
+import {getDirPath, getOpfFilePath, isEmpty, normalizePath, parseXml} from './utils';
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+const EPUB_MIME_TYPE = 'application/epub+zip';
+const MIMETYPE_FILE_PATH = 'mimetype';
+const CONTAINER_FILE_PATH = 'META-INF/container.xml';
+const ENCRYPTION_FILE_PATH = 'META-INF/encryption.xml';
+const XHTML_MIME_TYPE = 'application/xhtml+xml';
+const NCX_MIME_TYPE = 'application/x-dtbncx+xml';
+const LOCAL_FILE_HEADER = [0x50, 0x4b, 0x03, 0x04];
+const REQUIRED_METADATA = ['dc:identifier', 'dc:title', 'dc:language'];
+const URL_SCHEME_REGEX = /^[a-z][a-z0-9+.-]*:/i;
+
+/**
+ * Checks the structure of an epub, like a lightweight epubcheck
+ *
+ * @param zip: the loaded epub zip
+ * @param data {Uint8Array}: the epub binary data, to check the mimetype entry placement
+ * @returns {Promise<Array<{severity, code, path, message}>>} the findings, empty if the epub is valid
+ */
+export default async function validate(zip, data) {
+  const findings = [];
+  const report = (severity, code, path, message) => findings.push({severity, code, path, message});
+
+  await checkMimetype(zip, data, report);
+
+  const opfPath = await checkContainer(zip, report);
+  if (!opfPath) {
+    return findings;
+  }
+
+  const opf = await loadXml(zip, opfPath, 'OPF_INVALID', report);
+  if (!opf) {
+    return findings;
+  }
+
+  const version = opf('package').attr('version') || '';
+  checkMetadata(opf, opfPath, version, report);
+  const manifest = checkManifest(zip, opf, opfPath, report);
+  checkSpine(opf, opfPath, manifest, report);
+  checkNavigation(opf, opfPath, version, manifest, report);
+  checkUndeclaredResources(zip, opfPath, manifest, report);
+  const encryptedPaths = await checkEncryption(zip, report);
+  await checkLinks(zip, manifest, encryptedPaths, report);
+
+  return findings;
+}
+
+async function checkMimetype(zip, data, report) {
+  const mimetypeFile = zip.file(MIMETYPE_FILE_PATH);
+  if (!mimetypeFile) {
+    report(SEVERITY.ERROR, 'MIMETYPE_MISSING', MIMETYPE_FILE_PATH, 'mimetype file is missing');
+    return;
+  }
+
+  const mimetype = await mimetypeFile.async('string');
+  if (mimetype !== EPUB_MIME_TYPE) {
+    report(SEVERITY.ERROR, 'MIMETYPE_INVALID', MIMETYPE_FILE_PATH, `mimetype file must only contain "${EPUB_MIME_TYPE}"`);
+  }
+
+  if (!data) {
+    return;
+  }
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const nameLength = data.length >= 30 ? view.getUint16(26, true) : 0;
+  const firstEntryName = String.fromCharCode.apply(null, data.subarray(30, 30 + nameLength));
+  if (!LOCAL_FILE_HEADER.every((byte, index) => data[index] === byte) || firstEntryName !== MIMETYPE_FILE_PATH) {
+    report(SEVERITY.ERROR, 'MIMETYPE_NOT_FIRST', MIMETYPE_FILE_PATH, 'mimetype file must be the first entry of the archive');
+    return;
+  }
+  if (view.getUint16(8, true) !== 0) {
+    report(SEVERITY.ERROR, 'MIMETYPE_COMPRESSED', MIMETYPE_FILE_PATH, 'mimetype file must be stored uncompressed');
+  }
+  if (view.getUint16(28, true) !== 0) {
+    report(SEVERITY.ERROR, 'MIMETYPE_EXTRA_FIELD', MIMETYPE_FILE_PATH, 'mimetype entry must not have an extra field');
+  }
+}
+
+async function checkContainer(zip, report) {
+  if (!zip.file(CONTAINER_FILE_PATH)) {
+    report(SEVERITY.ERROR, 'CONTAINER_MISSING', CONTAINER_FILE_PATH, 'container.xml file is missing');
+    return null;
+  }
+
+  const container = await loadXml(zip, CONTAINER_FILE_PATH, 'CONTAINER_INVALID', report);
+  if (!container) {
+    return null;
+  }
+
+  const opfPath = getOpfFilePath(container);
+  if (isEmpty(opfPath)) {
+    report(SEVERITY.ERROR, 'CONTAINER_INVALID', CONTAINER_FILE_PATH, 'no rootfile full-path found in container.xml');
+    return null;
+  }
+  if (!zip.file(opfPath)) {
+    report(SEVERITY.ERROR, 'OPF_MISSING', opfPath, 'package document referenced by container.xml is missing');
+    return null;
+  }
+  return opfPath;
+}
+
+function checkMetadata(opf, opfPath, version, report) {
+  REQUIRED_METADATA.forEach(tagName => {
+    const element = opf(`metadata > ${tagName.replace(':', '\\:')}`);
+    if (isEmpty(element) || isEmpty(element.first().text().trim())) {
+      report(SEVERITY.ERROR, 'METADATA_MISSING', opfPath, `required metadata ${tagName} is missing`);
+    }
+  });
+
+  const uniqueIdentifierId = opf('package').attr('unique-identifier');
+  const uniqueIdentifier = opf('metadata > *').filter((index, element) => element.attribs['id'] === uniqueIdentifierId);
+  if (isEmpty(uniqueIdentifierId) || isEmpty(uniqueIdentifier)) {
+    report(SEVERITY.ERROR, 'UNIQUE_IDENTIFIER_MISSING', opfPath, 'package unique-identifier does not reference any identifier');
+  }
+
+  if (version.indexOf('3') === 0 && isEmpty(opf('metadata > meta[property="dcterms:modified"]'))) {
+    report(SEVERITY.ERROR, 'METADATA_MISSING', opfPath, 'required metadata dcterms:modified is missing');
+  }
+}
+
+function checkManifest(zip, opf, opfPath, report) {
+  const basePath = getDirPath(opfPath);
+  const manifest = {};
+
+  opf('manifest > item').each((index, element) => {
+    const item = cheerio(element);
+    const id = item.attr('id');
+    const href = item.attr('href');
+    const mediaType = item.attr('media-type');
+
+    if (isEmpty(id) || isEmpty(href) || isEmpty(mediaType)) {
+      report(SEVERITY.ERROR, 'MANIFEST_ITEM_INVALID', opfPath, `manifest item ${id || href} must have an id, an href and a media-type`);
+      return;
+    }
+    if (manifest[id]) {
+      report(SEVERITY.ERROR, 'MANIFEST_DUPLICATE_ID', opfPath, `manifest item id ${id} is not unique`);
+      return;
+    }
+    if (URL_SCHEME_REGEX.test(href)) {
+      manifest[id] = {id, href, mediaType, properties: item.attr('properties') || '', remote: true};
+      return;
+    }
+
+    const path = normalizePath(`${basePath}${safeDecodeURIComponent(href)}`);
+    manifest[id] = {id, href, path, mediaType, properties: item.attr('properties') || ''};
+    if (!zip.file(path)) {
+      report(SEVERITY.ERROR, 'RESOURCE_MISSING', path, `resource declared in manifest is missing`);
+    }
+  });
+
+  return manifest;
+}
+
+function checkSpine(opf, opfPath, manifest, report) {
+  const itemrefs = opf('spine > itemref');
+  if (isEmpty(itemrefs)) {
+    report(SEVERITY.ERROR, 'SPINE_EMPTY', opfPath, 'spine has no itemref');
+    return;
+  }
+
+  itemrefs.each((index, element) => {
+    const idref = cheerio(element).attr('idref');
+    if (!manifest[idref]) {
+      report(SEVERITY.ERROR, 'SPINE_ITEMREF_INVALID', opfPath, `spine itemref ${idref} does not reference a manifest item`);
+    }
+  });
+}
+
+function checkNavigation(opf, opfPath, version, manifest, report) {
+  const items = Object.keys(manifest).map(id => manifest[id]);
+  const navItem = items.find(item => item.properties.split(/\s+/).includes('nav'));
+  const ncxItem = manifest[opf('spine').attr('toc')] || items.find(item => item.mediaType === NCX_MIME_TYPE);
+
+  if (version.indexOf('3') === 0) {
+    if (!navItem) {
+      report(SEVERITY.ERROR, 'NAV_MISSING', opfPath, 'no navigation document declared in manifest');
+    }
+  } else if (!ncxItem) {
+    report(SEVERITY.ERROR, 'NCX_MISSING', opfPath, 'no NCX declared in manifest');
+  }
+}
+
+function checkUndeclaredResources(zip, opfPath, manifest, report) {
+  const declaredPaths = Object.keys(manifest).map(id => manifest[id].path);
+  Object.keys(zip.files)
+    .filter(path => !zip.files[path].dir)
+    .filter(path => path !== MIMETYPE_FILE_PATH && path !== opfPath && path.indexOf('META-INF/') !== 0)
+    .filter(path => !declaredPaths.includes(path))
+    .forEach(path => report(SEVERITY.WARNING, 'RESOURCE_UNDECLARED', path, 'resource is not declared in manifest'));
+}
+
+async function checkLinks(zip, manifest, encryptedPaths, report) {
+  const documents = Object.keys(manifest)
+    .map(id => manifest[id])
+    .filter(item => !item.remote && item.mediaType === XHTML_MIME_TYPE && zip.file(item.path))
+    .filter(item => !encryptedPaths.includes(item.path));
+
+  for (const item of documents) {
+    const document = await loadXml(zip, item.path, 'DOCUMENT_INVALID', report);
+    if (!document) {
+      continue;
+    }
+
+    const basePath = getDirPath(item.path);
+    const links = [];
+    document('[href], [src]').each((index, element) => {
+      links.push(element.attribs['href'] || element.attribs['src']);
+    });
+    document('[xlink\\:href]').each((index, element) => links.push(element.attribs['xlink:href']));
+
+    links
+      .map(link => link.trim().split('#')[0].split('?')[0])
+      .filter(link => !isEmpty(link) && !URL_SCHEME_REGEX.test(link) && link[0] !== '/')
+      .forEach(link => {
+        const path = normalizePath(`${basePath}${safeDecodeURIComponent(link)}`);
+        if (!zip.file(path)) {
+          report(SEVERITY.ERROR, 'LINK_BROKEN', item.path, `link to ${link} targets a missing resource`);
+        }
+      });
+  }
+}
+
+async function checkEncryption(zip, report) {
+  const encryptedPaths = [];
+  if (!zip.file(ENCRYPTION_FILE_PATH)) {
+    return encryptedPaths;
+  }
+
+  const encryptionFile = await loadXml(zip, ENCRYPTION_FILE_PATH, 'ENCRYPTION_INVALID', report);
+  if (!encryptionFile) {
+    return encryptedPaths;
+  }
+
+  encryptionFile('EncryptedData').each((index, element) => {
+    const uri = encryptionFile('CipherData > CipherReference', element).attr('URI');
+    if (isEmpty(uri)) {
+      report(SEVERITY.ERROR, 'ENCRYPTION_INVALID', ENCRYPTION_FILE_PATH, 'encrypted data without cipher reference');
+      return;
+    }
+    const path = normalizePath(safeDecodeURIComponent(uri));
+    encryptedPaths.push(path);
+    if (!zip.file(path)) {
+      report(SEVERITY.ERROR, 'ENCRYPTED_RESOURCE_MISSING', path, 'resource referenced in encryption.xml is missing');
+    }
+  });
+
+  return encryptedPaths;
+}
+
+async function loadXml(zip, path, errorCode, report) {
+  try {
+    const document = parseXml(await zip.file(path).async('uint8array'));
+    if (isEmpty(document.root().children())) {
+      throw new Error('empty document');
+    }
+    return document;
+  } catch (error) {
+    report(SEVERITY.ERROR, errorCode, path, `can not parse ${path}: ${error.message}`);
+    return null;
+  }
+}
+
+function safeDecodeURIComponent(uri) {
+  try {
+    return decodeURIComponent(uri);
+  } catch (error) {
+    return uri;
+  }
+}
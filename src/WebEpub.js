@@ -72,8 +72,9 @@ class WebEpub extends Ebook {
   async getToc() {
     if (!this._toc) {
       const manifest = await this.manifest();
-      const tocItems = manifest['toc'];
-      this._toc = setPositions(tocItems, 1, 0);
+      const tocItems = manifest['toc'] || [];
+      setPositions(tocItems, 1, 0);
+      this._toc = tocItems;
     }
     return this._toc;
   }
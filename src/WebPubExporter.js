@@ -0,0 +1,50 @@
+import fs from 'fs';
+import nodePath from 'path';
+
+const MANIFEST_PATH = 'manifest.json';
+
+/**
+ * Creates the files of a web publication from an epub: its resources as they are in the zip
+ * (encrypted resources, encryption.xml and license.lcpl included) and a generated manifest.json
+ *
+ * @param epub {ZipEpub}
+ * @returns {Promise<Object>} a map of file paths to Uint8Array data
+ */
+export async function createWebPubFiles(epub) {
+  const files = {};
+  for (const path of epub.listFiles()) {
+    files[path] = await epub.getRawFile(path);
+  }
+
+  const manifest = await epub.toWebPubManifest();
+  files[MANIFEST_PATH] = new TextEncoder().encode(JSON.stringify(manifest, null, 2));
+
+  return files;
+}
+
+/**
+ * Writes the files of a web publication in a directory, Node.js only
+ *
+ * @param files: a map of file paths to data
+ * @param dirPath
+ * @returns {Promise<Array<String>>} the written file paths
+ * @throws Error when a file path is absolute or leads out of the directory, nothing is written then
+ */
+export async function writeWebPubFiles(files, dirPath) {
+  const paths = Object.keys(files);
+  const filePaths = paths.map(path => resolveFilePath(dirPath, path));
+  for (let i = 0; i < paths.length; i++) {
+    await fs.promises.mkdir(nodePath.dirname(filePaths[i]), {recursive: true});
+    await fs.promises.writeFile(filePaths[i], files[paths[i]]);
+  }
+  return paths;
+}
+
+function resolveFilePath(dirPath, path) {
+  const rootPath = nodePath.resolve(dirPath);
+  const filePath = nodePath.resolve(rootPath, path);
+  if (nodePath.isAbsolute(path) || !filePath.startsWith(rootPath + nodePath.sep)) {
+    throw new Error(`invalid file path ${path}: it leads out of ${dirPath}`);
+  }
+  return filePath;
+}
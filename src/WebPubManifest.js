@@ -0,0 +1,176 @@
+import cheerio from 'cheerio';
+import {isEmpty, normalizePath} from './utils';
+
+const WEBPUB_CONTEXT = 'https://readium.org/webpub-manifest/context.jsonld';
+const WEBPUB_MIME_TYPE = 'application/webpub+json';
+const BOOK_TYPE = 'http://schema.org/Book';
+
+const LAYOUTS = {
+  'pre-paginated': 'fixed',
+  'reflowable': 'reflowable'
+};
+
+const OVERFLOWS = {
+  'paginated': 'paginated',
+  'scrolled-continuous': 'scrolled',
+  'scrolled-doc': 'scrolled',
+  'auto': 'auto'
+};
+
+const CONTAINED_PROPERTIES = ['mathml', 'remote-resources', 'scripted', 'svg', 'switch'];
+
+/**
+ * Creates a Readium Web Publication manifest from the package document of an epub
+ *
+ * @param opf: the parsed package document
+ * @param basePath: the directory of the package document
+ * @param publication: {uid, toc, landmarks, coverPath} the unique identifier, parsed toc and landmarks, cover path
+ * @returns {Object} the manifest, as expected by WebEpub
+ */
+export default function createWebPubManifest(opf, basePath, {uid, toc, landmarks, coverPath}) {
+  const items = getManifestItems(opf, basePath);
+  const spineIds = opf('spine > itemref').map((index, element) => cheerio(element).attr('idref')).toArray();
+
+  const readingOrder = opf('spine > itemref').toArray()
+    .filter(element => items[cheerio(element).attr('idref')])
+    .map(element => {
+      const itemref = cheerio(element);
+      const link = createLink(items[itemref.attr('idref')], coverPath);
+      const properties = getSpineProperties(itemref.attr('properties'));
+      if (!isEmpty(Object.keys(properties))) {
+        link.properties = Object.assign(link.properties || {}, properties);
+      }
+      return link;
+    });
+
+  const resources = Object.keys(items)
+    .filter(id => !spineIds.includes(id))
+    .map(id => createLink(items[id], coverPath));
+
+  const manifest = {
+    '@context': WEBPUB_CONTEXT,
+    metadata: createMetadata(opf, uid),
+    links: [{rel: 'self', href: 'manifest.json', type: WEBPUB_MIME_TYPE}],
+    readingOrder,
+    resources,
+    toc: createTocLinks(toc || [])
+  };
+
+  if (!isEmpty(landmarks)) {
+    manifest.landmarks = landmarks.map(landmark => ({href: normalizePath(landmark.href), title: landmark.title, rel: landmark.type}));
+  }
+
+  return manifest;
+}
+
+function getManifestItems(opf, basePath) {
+  const items = {};
+  opf('manifest > item').each((index, element) => {
+    const item = cheerio(element);
+    items[item.attr('id')] = {
+      href: normalizePath(`${basePath}${item.attr('href')}`),
+      type: item.attr('media-type'),
+      properties: (item.attr('properties') || '').split(/\s+/).filter(property => !isEmpty(property))
+    };
+  });
+  return items;
+}
+
+function createLink(item, coverPath) {
+  const link = {href: item.href, type: item.type};
+
+  const rel = [];
+  if (item.properties.includes('cover-image') || item.href === coverPath) {
+    rel.push('cover');
+  }
+  if (item.properties.includes('nav')) {
+    rel.push('contents');
+  }
+  if (!isEmpty(rel)) {
+    link.rel = rel.length === 1 ? rel[0] : rel;
+  }
+
+  const contains = item.properties.filter(property => CONTAINED_PROPERTIES.includes(property));
+  if (!isEmpty(contains)) {
+    link.properties = {contains};
+  }
+
+  return link;
+}
+
+function getSpineProperties(spineProperties) {
+  const properties = {};
+  (spineProperties || '').split(/\s+/).forEach(property => {
+    if (property === 'page-spread-left') {
+      properties.page = 'left';
+    } else if (property === 'page-spread-right') {
+      properties.page = 'right';
+    } else if (property === 'rendition:page-spread-center') {
+      properties.page = 'center';
+    } else if (property.indexOf('rendition:layout-') === 0) {
+      properties.layout = LAYOUTS[property.substr('rendition:layout-'.length)];
+    }
+  });
+  return properties;
+}
+
+function createMetadata(opf, uid) {
+  const metadata = {
+    '@type': BOOK_TYPE,
+    identifier: uid,
+    title: getText(opf, 'dc\\:title')
+  };
+
+  const optionalMetadata = {
+    language: getTexts(opf, 'dc\\:language'),
+    author: getTexts(opf, 'dc\\:creator'),
+    contributor: getTexts(opf, 'dc\\:contributor'),
+    publisher: getTexts(opf, 'dc\\:publisher'),
+    subject: getTexts(opf, 'dc\\:subject'),
+    description: getText(opf, 'dc\\:description'),
+    published: getText(opf, 'dc\\:date'),
+    modified: getText(opf, 'meta[property="dcterms:modified"]')
+  };
+  Object.keys(optionalMetadata)
+    .filter(key => !isEmpty(optionalMetadata[key]))
+    .forEach(key => metadata[key] = optionalMetadata[key]);
+
+  metadata.presentation = {
+    layout: LAYOUTS[getRenditionProperty(opf, 'layout')] || LAYOUTS['reflowable'],
+    orientation: getRenditionProperty(opf, 'orientation') || 'auto',
+    spread: getRenditionProperty(opf, 'spread') || 'auto',
+    overflow: OVERFLOWS[getRenditionProperty(opf, 'flow')] || 'auto'
+  };
+
+  return metadata;
+}
+
+function getRenditionProperty(opf, name) {
+  return getText(opf, `metadata > meta[property="rendition:${name}"]`);
+}
+
+function getText(opf, selector) {
+  const element = opf(selector);
+  return isEmpty(element) ? null : element.first().text().trim();
+}
+
+function getTexts(opf, selector) {
+  const texts = opf(selector).map((index, element) => cheerio(element).text().trim()).toArray();
+  if (isEmpty(texts)) {
+    return null;
+  }
+  return texts.length === 1 ? texts[0] : texts;
+}
+
+function createTocLinks(items) {
+  return items.map(item => {
+    const link = {
+      href: normalizePath(item.path.substr(1)),
+      title: item.label
+    };
+    if (!isEmpty(item.items)) {
+      link.children = createTocLinks(item.items);
+    }
+    return link;
+  });
+}
@@ -0,0 +1,266 @@
+import mime from 'mime-types';
+import {isEmpty, makeAbsolutePath} from './utils';
+import {getFile, getLcpLicense, getZipFileData, getZipFileRange, isRangeDecipherable} from './utils/zipTools';
+import Ebook from './Ebook';
+import Lcp, {PROTECTION_METHODS} from './Lcp';
+
+const MANIFEST_PATH = 'manifest.json';
+const AUDIOBOOK_TYPE = 'http://schema.org/Audiobook';
+const AUDIOBOOK_PROFILE = 'https://readium.org/webpub-manifest/profiles/audiobook';
+const LCP_SCHEME = 'http://readium.org/2014/01/lcp';
+const DEFLATE_COMPRESSION = 'deflate';
+const ZIP_COMPRESSION_METHOD = 8;
+
+/**
+ * Readium audiobook packaged in a zip (.audiobook, or .lcpa when protected by LCP)
+ */
+class ZipAudiobook extends Ebook {
+
+  constructor(zip, license, keys) {
+    super();
+
+    this._zip = zip;
+    this._license = license;
+    this._keys = keys;
+  }
+
+  /**
+   * Tells if a parsed Readium manifest describes an audiobook
+   *
+   * @param manifest
+   * @returns {boolean}
+   */
+  static isAudiobookManifest(manifest) {
+    if (isEmpty(manifest) || !manifest.metadata) {
+      return false;
+    }
+    const conformsTo = [].concat(manifest.metadata.conformsTo || []);
+    if (manifest.metadata['@type'] === AUDIOBOOK_TYPE || conformsTo.includes(AUDIOBOOK_PROFILE)) {
+      return true;
+    }
+    const readingOrder = manifest.readingOrder || [];
+    return !isEmpty(readingOrder) && readingOrder.every(item => item.type && item.type.indexOf('audio/') === 0);
+  }
+
+  async manifest() {
+    if (!this._manifest) {
+      this._manifest = JSON.parse(await getFile(this._zip, MANIFEST_PATH));
+    }
+    return this._manifest;
+  }
+
+  async getMetadata() {
+    const manifest = await this.manifest();
+    return manifest.metadata;
+  }
+
+  async getLicense() {
+    if (this._license) {
+      return this._license;
+    }
+    return getLcpLicense(this._zip);
+  }
+
+  /**
+   * Get the audio tracks of the reading order, with their position in time
+   *
+   * @returns {Promise<Array>}
+   */
+  async getSpine() {
+    if (this._spine) {
+      return this._spine;
+    }
+
+    const manifest = await this.manifest();
+    let start = 0;
+    this._spine = (manifest.readingOrder || []).map((item, index) => {
+      const duration = item.duration || 0;
+      const spineItem = {
+        href: item.href,
+        path: makeAbsolutePath(decodeURIComponent(item.href)),
+        type: item.type,
+        title: item.title,
+        bitrate: item.bitrate,
+        duration,
+        start,
+        cfi: `/6/${2 + index * 2}`,
+        protection: getTrackProtection(item)
+      };
+      start += duration;
+      return spineItem;
+    });
+    return this._spine;
+  }
+
+  /**
+   * Get the Table of Content, each item starting at a time offset of the audiobook
+   *
+   * @returns {Promise<Array>}
+   */
+  async getToc() {
+    if (this._toc) {
+      return this._toc;
+    }
+
+    const manifest = await this.manifest();
+    const spine = await this.getSpine();
+    this._toc = manifest.toc || spine.map(track => ({href: track.href, title: track.title || track.href}));
+    setPositions(this._toc, spine, 1, 0);
+    return this._toc;
+  }
+
+  /**
+   * Time-based pagination: each track is an element positioned by its duration
+   *
+   * @returns {Promise<{totalCount, totalDuration, maxLevel, elements}>}
+   */
+  async getPagination() {
+    if (this._pagination) {
+      return this._pagination;
+    }
+
+    const spine = await this.getSpine();
+    const toc = await this.getToc();
+    const totalDuration = spine.reduce((total, track) => total + track.duration, 0);
+
+    let maxLevel = 1;
+    const elements = spine.map((track, index) => {
+      const items = findTocItemsInTrack(toc, track.href);
+      maxLevel = items.reduce((max, item) => item.level > max ? item.level : max, maxLevel);
+      return {
+        items,
+        label: isEmpty(items) ? (track.title || `${index + 1}`) : items[0].title,
+        start: track.start,
+        duration: track.duration,
+        percentageOfBook: totalDuration > 0 ? 100 * track.duration / totalDuration : 0,
+        positionInBook: totalDuration > 0 ? 100 * track.start / totalDuration : 0
+      };
+    });
+
+    this._pagination = {
+      totalCount: totalDuration,
+      totalDuration,
+      maxLevel,
+      elements
+    };
+    return this._pagination;
+  }
+
+  async getCoverPath() {
+    const manifest = await this.manifest();
+    const resources = manifest.resources || [];
+    const cover = resources.find(resource => [].concat(resource.rel || []).includes('cover'))
+      || resources.find(resource => resource.type && resource.type.indexOf('image/') === 0);
+    return cover ? decodeURIComponent(cover.href) : null;
+  }
+
+  async getFileProtection(path) {
+    const spine = await this.getSpine();
+    const track = spine.find(item => item.path === makeAbsolutePath(path));
+    return track ? track.protection : undefined;
+  }
+
+  /**
+   * Get an audio track or a resource of the audiobook, deciphered if protected by LCP
+   *
+   * @param path
+   * @param format: the output format ('uint8array', 'nodebuffer'...), text or binary depending on the content type by default
+   * @returns {Promise<{data, contentType}>}
+   */
+  async getFile(path, format = null) {
+    const zipFile = this._zip.file(path);
+    if (!zipFile) {
+      return;
+    }
+
+    const contentType = mime.contentType(path.split('/').pop()) || 'application/octet-stream';
+    const license = await this.getLicense();
+    const userKey = await Lcp.getValidUserKey(license, this._keys);
+
+    return {
+      data: await getZipFileData(zipFile, contentType, await this.getFileProtection(path), license, userKey, {}, format),
+      contentType
+    };
+  }
+
+  /**
+   * Get a range of an audio track or a resource, tracks protected by LCP being deciphered by range
+   *
+   * @param path
+   * @param start: offset of the first byte
+   * @param end: offset following the last byte, the end of the file by default
+   * @returns {Promise<{data: Uint8Array, length, contentType}>} length being the length of the whole file
+   */
+  async getFileRange(path, start, end = null) {
+    const zipFile = this._zip.file(path);
+    if (!zipFile) {
+      return;
+    }
+
+    const license = await this.getLicense();
+    const userKey = await Lcp.getValidUserKey(license, this._keys);
+
+    const {data, length} = await getZipFileRange(zipFile, await this.getFileProtection(path), license, userKey, {}, start, end);
+    return {data, length, contentType: mime.contentType(path.split('/').pop()) || 'application/octet-stream'};
+  }
+
+  /**
+   * Whether getFileRange deciphers the track by range, instead of deciphering it entirely before slicing it
+   *
+   * @param path
+   * @returns {Promise<boolean>}
+   */
+  async isRangeDeciphered(path) {
+    return isRangeDecipherable(await this.getFileProtection(path));
+  }
+}
+
+export default ZipAudiobook;
+
+function getTrackProtection(item) {
+  const encrypted = item.properties && item.properties.encrypted;
+  if (!encrypted || encrypted.scheme !== LCP_SCHEME) {
+    return undefined;
+  }
+  return {
+    algorithm: encrypted.algorithm,
+    compressionMethod: encrypted.compression === DEFLATE_COMPRESSION ? ZIP_COMPRESSION_METHOD : 0,
+    originalLength: encrypted.originalLength || 0,
+    type: PROTECTION_METHODS.LCP
+  };
+}
+
+function setPositions(items, spine, level, endpoints) {
+  for (let i = 0; i < items.length; i += 1) {
+    const item = items[i];
+    item.level = level;
+    item.start = getTimeOffset(item.href, spine);
+    item.endPoint = (!item.children || item.children.length === 0);
+    if (item.endPoint) {
+      endpoints += 1;
+      item.position = endpoints;
+    } else {
+      endpoints = setPositions(item.children, spine, level + 1, endpoints);
+    }
+  }
+  return endpoints;
+}
+
+function getTimeOffset(href, spine) {
+  const [trackHref, fragment] = href.split('#');
+  const track = spine.find(item => item.href === trackHref);
+  if (!track) {
+    return 0;
+  }
+  const time = fragment && fragment.match(/^t=([\d.]+)/);
+  return track.start + (time ? parseFloat(time[1]) : 0);
+}
+
+function findTocItemsInTrack(items, href) {
+  items = items || [];
+  let matchingItems = items.filter(item => item.href.split('#')[0] === href);
+  items.forEach(item => {
+    matchingItems = matchingItems.concat(findTocItemsInTrack(item.children, href));
+  });
+  return matchingItems;
+}
@@ -0,0 +1,196 @@
+import cheerio from 'cheerio';
+import mime from 'mime-types';
+import {isEmpty, makeAbsolutePath, parseXml} from './utils';
+import {getFile, getZipFileData} from './utils/zipTools';
+import Ebook from './Ebook';
+
+const COMIC_INFO_PATH = 'ComicInfo.xml';
+const IMAGE_FILE_REGEX = /\.(jpe?g|png|gif|webp|bmp|avif)$/i;
+const IGNORED_FILE_REGEX = /(^|\/)(__MACOSX\/|\.)/;
+const FRONT_COVER_PAGE_TYPE = 'FrontCover';
+
+/**
+ * Comic book archive (CBZ): a zip of images, with an optional ComicInfo.xml metadata file
+ */
+class ZipComic extends Ebook {
+
+  constructor(zip) {
+    super();
+
+    this._zip = zip;
+  }
+
+  /**
+   * Tells if a zip looks like a comic book archive: a ComicInfo.xml file, or only images
+   *
+   * @param zip
+   * @returns {boolean}
+   */
+  static isComicZip(zip) {
+    if (zip.file(COMIC_INFO_PATH)) {
+      return true;
+    }
+    const filePaths = getFilePaths(zip);
+    return !isEmpty(filePaths) && filePaths.every(path => IMAGE_FILE_REGEX.test(path));
+  }
+
+  async isFixedLayout() {
+    return true;
+  }
+
+  /**
+   * Get metadata from ComicInfo.xml, each element name being camel cased (Title -> title)
+   *
+   * @returns {Promise<Object>}
+   */
+  async getMetadata() {
+    if (this._metadata) {
+      return this._metadata;
+    }
+
+    const comicInfo = await this.getComicInfo();
+    this._metadata = {};
+    if (comicInfo) {
+      comicInfo('ComicInfo > *').each((index, element) => {
+        if (element.tagName === 'Pages') {
+          return;
+        }
+        const key = element.tagName[0].toLowerCase() + element.tagName.substr(1);
+        this._metadata[key] = cheerio(element).text().trim();
+      });
+    }
+    return this._metadata;
+  }
+
+  /**
+   * Get the images of the archive, naturally sorted, as a fixed layout spine
+   *
+   * @returns {Promise<Array>}
+   */
+  async getSpine() {
+    if (!this._spine) {
+      this._spine = getFilePaths(this._zip)
+        .filter(path => IMAGE_FILE_REGEX.test(path))
+        .sort((path1, path2) => path1.localeCompare(path2, undefined, {numeric: true, sensitivity: 'base'}))
+        .map((href, index) => ({
+          href,
+          path: makeAbsolutePath(href),
+          type: mime.lookup(href) || 'application/octet-stream',
+          cfi: `/6/${2 + index * 2}`
+        }));
+    }
+    return this._spine;
+  }
+
+  /**
+   * Get the Table of Content from the bookmarked pages of ComicInfo.xml, or else from the folders of the archive
+   *
+   * @returns {Promise<Array>}
+   */
+  async getToc() {
+    if (this._toc) {
+      return this._toc;
+    }
+
+    const spine = await this.getSpine();
+    const toc = getTocFromComicInfo(await this.getComicInfo(), spine);
+    this._toc = isEmpty(toc) ? getTocFromFolders(spine) : toc;
+    return this._toc;
+  }
+
+  async getCoverPath() {
+    const spine = await this.getSpine();
+    if (isEmpty(spine)) {
+      return null;
+    }
+
+    const comicInfo = await this.getComicInfo();
+    if (comicInfo) {
+      const coverPage = comicInfo(`Pages > Page[Type="${FRONT_COVER_PAGE_TYPE}"]`);
+      const coverIndex = parseInt(coverPage.attr('Image'), 10);
+      if (!isNaN(coverIndex) && spine[coverIndex]) {
+        return spine[coverIndex].href;
+      }
+    }
+    return spine[0].href;
+  }
+
+  async getComicInfo() {
+    if (this._comicInfo === undefined) {
+      try {
+        this._comicInfo = this._zip.file(COMIC_INFO_PATH) ? parseXml(await getFile(this._zip, COMIC_INFO_PATH)) : null;
+      } catch (error) {
+        console.warn('Can not parse ComicInfo.xml file', error);
+        this._comicInfo = null;
+      }
+    }
+    return this._comicInfo;
+  }
+
+  /**
+   * @param path
+   * @param format: the output format ('uint8array', 'nodebuffer'...), binary by default
+   * @returns {Promise<{data, contentType}>}
+   */
+  async getFile(path, format = null) {
+    const zipFile = this._zip.file(path);
+    if (!zipFile) {
+      return;
+    }
+
+    const contentType = mime.contentType(path.split('/').pop()) || 'application/octet-stream';
+    return {
+      data: await getZipFileData(zipFile, contentType, null, null, null, {}, format),
+      contentType
+    };
+  }
+}
+
+export default ZipComic;
+
+function getFilePaths(zip) {
+  return Object.keys(zip.files)
+    .filter(path => !zip.files[path].dir)
+    .filter(path => path !== COMIC_INFO_PATH && !IGNORED_FILE_REGEX.test(path));
+}
+
+function getTocFromComicInfo(comicInfo, spine) {
+  if (!comicInfo) {
+    return [];
+  }
+
+  const items = [];
+  comicInfo('Pages > Page[Bookmark]').each((index, element) => {
+    const page = cheerio(element);
+    const spineItem = spine[parseInt(page.attr('Image'), 10)];
+    if (spineItem) {
+      items.push(createTocItem(page.attr('Bookmark'), spineItem, items.length + 1));
+    }
+  });
+  return items;
+}
+
+function getTocFromFolders(spine) {
+  const items = [];
+  spine.forEach(spineItem => {
+    const folder = spineItem.href.split('/').slice(0, -1).join('/');
+    if (!isEmpty(folder) && !items.find(item => item.folder === folder)) {
+      const tocItem = createTocItem(folder.split('/').pop(), spineItem, items.length + 1);
+      tocItem.folder = folder;
+      items.push(tocItem);
+    }
+  });
+  return items.length > 1 ? items : [];
+}
+
+function createTocItem(label, spineItem, position) {
+  return {
+    label,
+    href: spineItem.href,
+    path: spineItem.path,
+    level: 1,
+    position,
+    endPoint: true,
+    parent: false
+  };
+}
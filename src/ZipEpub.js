@@ -2,23 +2,35 @@ import cheerio from 'cheerio';
 import {all} from 'rsvp';
 import Lcp from './Lcp';
 import {
+  getDefaultOutputType,
   isEmpty,
   parseXml,
   makeAbsolutePath,
+  normalizePath,
   generatePagination
 } from './utils';
 import {
   analyzeSpineItem,
+  BYTES_FORMAT,
   getCoverPath,
   getFile,
   getLcpLicense,
   getOpfContent,
   getProtectedFiles,
-  getZipFileData
+  getProtectionReport,
+  getIdentifiers,
+  getZipFileData,
+  getZipFileRange,
+  getZipFileStream,
+  isRangeDecipherable
 } from './utils/zipTools';
 import mime from 'mime-types';
 import Ebook from './Ebook';
-import parseToc from './TocParser';
+import {FileNotFoundError} from './errors';
+import parseToc, {parseLandmarks} from './TocParser';
+import createWebPubManifest from './WebPubManifest';
+import {createWebPubFiles, writeWebPubFiles} from './WebPubExporter';
+import EpubEditor from './EpubEditor';
 
 class ZipEpub extends Ebook {
 
@@ -110,8 +122,7 @@ class ZipEpub extends Ebook {
       }
 
       const tocFilename = tocElement.attr('href');
-      const tocFile = await getFile(this._zip, basePath + tocFilename);
-      this._toc = parseToc(basePath, parseXml(tocFile));
+      this._toc = parseToc(basePath, await this._getDocument(basePath + tocFilename));
       return this._toc;
     } catch (error) {
       console.warn('failed to parse toc file', error);
@@ -119,6 +130,66 @@ class ZipEpub extends Ebook {
     }
   }
 
+  /**
+   * Get the landmarks of the epub, from the navigation document (epub 3) or the guide (epub 2)
+   *
+   * @returns {Promise<Array<{href, title, type}>>}
+   */
+  async getLandmarks() {
+    const {basePath, opf} = await getOpfContent(this._zip);
+
+    const navElement = opf('manifest > item[properties~="nav"]');
+    if (!isEmpty(navElement)) {
+      try {
+        const landmarks = parseLandmarks(basePath, await this._getDocument(basePath + navElement.attr('href')));
+        if (!isEmpty(landmarks)) {
+          return landmarks;
+        }
+      } catch (error) {
+        console.warn('failed to parse landmarks', error);
+      }
+    }
+
+    return parseLandmarks(basePath, opf);
+  }
+
+  /**
+   * Converts the epub into a Readium Web Publication manifest, as read by WebEpub
+   *
+   * @returns {Promise<Object>}
+   */
+  async toWebPubManifest() {
+    const {basePath, opf} = await getOpfContent(this._zip);
+    const {uid} = await this.getIdentifiers();
+    const coverPath = await this.getCoverPath().catch(() => null);
+
+    return createWebPubManifest(opf, basePath, {
+      uid,
+      toc: await this.getToc(),
+      landmarks: await this.getLandmarks(),
+      coverPath
+    });
+  }
+
+  /**
+   * Explodes the epub into the files of a web publication readable by WebEpub: its resources and a manifest.json
+   *
+   * @returns {Promise<Object>} a map of file paths to Uint8Array data
+   */
+  async toWebPubFiles() {
+    return createWebPubFiles(this);
+  }
+
+  /**
+   * Explodes the epub into a directory servable as a web publication, Node.js only
+   *
+   * @param dirPath
+   * @returns {Promise<Array<String>>} the written file paths
+   */
+  async writeWebPub(dirPath) {
+    return writeWebPubFiles(await this.toWebPubFiles(), dirPath);
+  }
+
   async getPagination() {
     if (await this.isFixedLayout()) {
       return null;
@@ -145,12 +216,25 @@ class ZipEpub extends Ebook {
     return this.protectedFiles;
   }
 
+  /**
+   * Lists the encrypted resources of the epub, with their protection method and whether a valid key is available
+   *
+   * @returns {Promise<{resources: Array, methods: Array}>}
+   */
+  async getProtectionReport() {
+    return getProtectionReport(this._zip, await this.getLicense(), this._keys, await this.getIdentifiers());
+  }
+
   async getUid() {
-    if (this.uid === null) {
-      const metadata = await getMetadata(this._zip);
-      this.uid = metadata['dc:identifier'] || 0;
+    const {uid} = await this.getIdentifiers();
+    return uid;
+  }
+
+  async getIdentifiers() {
+    if (!this._identifiers) {
+      this._identifiers = await getIdentifiers(this._zip);
     }
-    return this.uid;
+    return this._identifiers;
   }
 
   async getFileProtection(path) {
@@ -158,20 +242,192 @@ class ZipEpub extends Ebook {
     return protections[path];
   }
 
-  async getFile(path) {
+  /**
+   * List the paths of all the files of the epub
+   *
+   * @returns {Array<String>}
+   */
+  listFiles() {
+    return Object.keys(this._zip.files).filter(path => !this._zip.files[path].dir);
+  }
+
+  /**
+   * Get the data of a file as stored in the epub, without deciphering nor de-obfuscation
+   *
+   * @param path
+   * @returns {Promise<Uint8Array>}
+   */
+  async getRawFile(path) {
+    return getFile(this._zip, path, BYTES_FORMAT);
+  }
+
+  /**
+   * Get a file of the epub, deciphered or de-obfuscated if needed
+   *
+   * @param path
+   * @param format: the output format ('uint8array', 'nodebuffer'...), text or binary depending on the content type by default
+   * @returns {Promise<{data, contentType}>}
+   */
+  async getFile(path, format = null) {
     const zipFile = this._zip.file(path);
     if (!zipFile) {
       return;
     }
 
     const contentType = mime.contentType(path.split('/').pop());
-    const userKey = await Lcp.getValidUserKey(this._license, this._keys);
+    const license = await this.getLicense();
+    const userKey = await Lcp.getValidUserKey(license, this._keys);
 
     return {
-      data: await getZipFileData(zipFile, contentType, await this.getFileProtection(path), this.license, userKey),
+      data: await getZipFileData(zipFile, contentType, await this.getFileProtection(makeAbsolutePath(path)), license, userKey, await this.getIdentifiers(), format),
       contentType
     };
   }
+
+  /**
+   * Same as getFile, the data being output as a stream of bytes so that large LCP resources are deciphered by chunks
+   *
+   * @param path
+   * @returns {Promise<{stream: ReadableStream<Uint8Array>, contentType}>}
+   */
+  async getFileStream(path) {
+    const zipFile = this._zip.file(path);
+    if (!zipFile) {
+      return;
+    }
+
+    const license = await this.getLicense();
+    const userKey = await Lcp.getValidUserKey(license, this._keys);
+
+    return {
+      stream: await getZipFileStream(zipFile, await this.getFileProtection(makeAbsolutePath(path)), license, userKey, await this.getIdentifiers()),
+      contentType: mime.contentType(path.split('/').pop())
+    };
+  }
+
+  /**
+   * Get a range of a file of the epub, deciphered or de-obfuscated if needed. LCP protected media are deciphered by
+   * range, which allows seeking in large audio or video resources.
+   *
+   * @param path
+   * @param start: offset of the first byte
+   * @param end: offset following the last byte, the end of the file by default
+   * @returns {Promise<{data: Uint8Array, length, contentType}>} length being the length of the whole file
+   */
+  async getFileRange(path, start, end = null) {
+    const zipFile = this._zip.file(path);
+    if (!zipFile) {
+      return;
+    }
+
+    const license = await this.getLicense();
+    const userKey = await Lcp.getValidUserKey(license, this._keys);
+    const protection = await this.getFileProtection(makeAbsolutePath(path));
+
+    const {data, length} = await getZipFileRange(zipFile, protection, license, userKey, await this.getIdentifiers(), start, end);
+    return {data, length, contentType: mime.contentType(path.split('/').pop())};
+  }
+
+  /**
+   * Whether getFileRange deciphers the file by range, instead of deciphering it entirely before slicing it
+   *
+   * @param path
+   * @returns {Promise<boolean>}
+   */
+  async isRangeDeciphered(path) {
+    return isRangeDecipherable(await this.getFileProtection(makeAbsolutePath(path)));
+  }
+
+  // metadata edition: changes are applied to the epub generated by save, this epub is left unchanged
+  async setTitle(title) {
+    (await this._getEditor()).setTitle(title);
+  }
+
+  /**
+   * @param creators: Array<String|{name, role, fileAs}> the role being a MARC relator code, like 'aut'
+   */
+  async setCreators(creators) {
+    (await this._getEditor()).setCreators(creators);
+  }
+
+  /**
+   * Replaces the identifiers, the first one becoming the unique identifier. Obfuscated fonts are obfuscated again.
+   *
+   * @param identifiers: Array<String|{value, scheme}>
+   */
+  async setIdentifiers(identifiers) {
+    (await this._getEditor()).setIdentifiers(identifiers);
+  }
+
+  async setSubjects(subjects) {
+    (await this._getEditor()).setSubjects(subjects);
+  }
+
+  /**
+   * @param name: null to remove the publication from its series
+   * @param position
+   */
+  async setSeries(name, position) {
+    (await this._getEditor()).setSeries(name, position);
+  }
+
+  /**
+   * Sets the cover image, replacing the current cover data if the path is the same
+   *
+   * @param path: path of the image in the epub
+   * @param data
+   * @param mediaType: guessed from the path by default
+   */
+  async setCover(path, data, mediaType) {
+    (await this._getEditor()).setCover(path, data, mediaType);
+  }
+
+  /**
+   * Sets dcterms:modified, updated to the save date if not set
+   *
+   * @param date {Date}
+   */
+  async setModified(date) {
+    (await this._getEditor()).setModified(date);
+  }
+
+  /**
+   * Replaces the LCP license, used from now on to decipher resources and written by save
+   *
+   * @param license: the parsed license
+   */
+  async setLicense(license) {
+    this._license = license;
+    (await this._getEditor()).setLicense(license);
+  }
+
+  /**
+   * Generates a new epub with the metadata changes.
+   * Untouched resources are copied as they are, encrypted resources and encryption.xml included. The package document
+   * is only rewritten, with an updated dcterms:modified, if metadata changed: replacing the license alone leaves it as is.
+   *
+   * @param options: {type} JSZip output type, Buffer in Node.js and Uint8Array in browsers by default
+   * @returns {Promise<Buffer|Uint8Array>}
+   */
+  async save({type = getDefaultOutputType()} = {}) {
+    return (await this._getEditor()).generate(type);
+  }
+
+  // navigation documents may be encrypted
+  async _getDocument(path) {
+    const file = await this.getFile(normalizePath(path), BYTES_FORMAT);
+    if (!file) {
+      throw new FileNotFoundError(`file ${path} not found in zip`);
+    }
+    return parseXml(file.data);
+  }
+
+  async _getEditor() {
+    if (!this._editor) {
+      this._editor = await EpubEditor.load(this._zip);
+    }
+    return this._editor;
+  }
 }
 
 export default ZipEpub;
@@ -1,5 +1,6 @@
 import {
   getLcpLicense, getProtectedFiles,
+  getProtectionReport,
   getZipFileData
 } from './utils/zipTools';
 import Ebook from './Ebook';
@@ -30,21 +31,69 @@ class ZipPdf extends Ebook {
     return protections[path];
   }
 
-  async getPdf() {
+  /**
+   * Lists the encrypted resources of the package, with their protection method and whether a valid key is available
+   *
+   * @returns {Promise<{resources: Array, methods: Array}>}
+   */
+  async getProtectionReport() {
+    return getProtectionReport(this._zip, await this.getLicense(), this._keys);
+  }
+
+  /**
+   * Get the path of the pdf file in the package
+   *
+   * @returns {String|undefined}
+   */
+  getPdfPath() {
     const zipFiles = this._zip.file(/\.pdf$/);
     if (!zipFiles || zipFiles.length === 0) {
       return;
     }
-    const zipFile = zipFiles[0];
+    return zipFiles[0].name;
+  }
+
+  /**
+   * Get the pdf file, deciphered if needed
+   *
+   * @param format: the output format ('uint8array', 'nodebuffer'...), 'nodebuffer' by default
+   * @returns {Promise<{data, contentType}>}
+   */
+  async getPdf(format = null) {
+    const pdfPath = this.getPdfPath();
+    if (!pdfPath) {
+      return;
+    }
+    const zipFile = this._zip.file(pdfPath);
 
     const contentType = 'application/pdf';
-    const userKey = await Lcp.getValidUserKey(this._license, this._keys);
+    const license = await this.getLicense();
+    const userKey = await Lcp.getValidUserKey(license, this._keys);
 
     return {
-      data: await getZipFileData(zipFile, contentType, await this.getFileProtection(`/${zipFile.name}`), this._license, userKey),
+      data: await getZipFileData(zipFile, contentType, await this.getFileProtection(`/${zipFile.name}`), license, userKey, {}, format),
       contentType
     };
   }
+
+  /**
+   * Describes the package as a Readium Web Publication manifest, the pdf being the only item of the reading order
+   *
+   * @returns {Promise<Object>}
+   */
+  async toWebPubManifest() {
+    const pdfPath = this.getPdfPath();
+    return {
+      '@context': 'https://readium.org/webpub-manifest/context.jsonld',
+      metadata: {
+        title: pdfPath ? pdfPath.split('/').pop().replace(/\.pdf$/, '') : '',
+        presentation: {layout: 'fixed'}
+      },
+      links: [{rel: 'self', href: 'manifest.json', type: 'application/webpub+json'}],
+      readingOrder: pdfPath ? [{href: pdfPath, type: 'application/pdf'}] : [],
+      resources: []
+    };
+  }
 }
 
 export default ZipPdf;
@@ -1,3 +1,63 @@
 export class FileNotFoundError extends Error {
 
 }
+
+export class UnsupportedFormatError extends Error {
+  constructor(message, format, cause = null) {
+    super(message);
+    this.format = format;
+    this.cause = cause;
+  }
+}
+
+export class InvalidAscmError extends Error {
+  constructor(message, missingFields = []) {
+    super(message);
+    this.missingFields = missingFields;
+  }
+}
+
+export class UnsupportedProfileError extends Error {
+  constructor(message, profile, algorithm = null) {
+    super(message);
+    this.profile = profile;
+    this.algorithm = algorithm;
+  }
+}
+
+export class LsdError extends Error {
+  constructor(message, status = null, problem = null) {
+    super(message);
+    this.status = status;
+    this.problem = problem;
+  }
+}
+
+/**
+ * Base class of the errors thrown when LCP protected content can not be deciphered
+ */
+export class DecipherError extends Error {
+
+}
+
+// the user key does not open the license: a bad passphrase, or a key of another license
+export class WrongKeyError extends DecipherError {
+
+}
+
+// the encrypted data is damaged: invalid length or PKCS#7 padding
+export class CorruptedDataError extends DecipherError {
+
+}
+
+export class InflateError extends DecipherError {
+
+}
+
+export class LengthMismatchError extends DecipherError {
+  constructor(message, expectedLength, actualLength) {
+    super(message);
+    this.expectedLength = expectedLength;
+    this.actualLength = actualLength;
+  }
+}
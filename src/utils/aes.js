@@ -0,0 +1,268 @@
+import crypto from 'crypto';
+import pako from 'pako';
+import {CorruptedDataError, InflateError, LengthMismatchError} from '../errors';
+import {binaryToBytes, bytesToBinary} from './index';
+
+const forge = require('../../vendor/forge.toolkit');
+
+const BLOCK_SIZE = 16;
+const CHUNK_SIZE = 1024 * 64; // a multiple of the block size
+
+export const AES_BACKENDS = {
+  NODE: 'node',
+  WEBCRYPTO: 'webcrypto',
+  FORGE: 'forge'
+};
+
+let forcedBackend = null;
+
+/**
+ * Forces the backend used to decrypt resources, null to choose the fastest available one
+ *
+ * @param backend: one of AES_BACKENDS
+ */
+export function setAesBackend(backend) {
+  forcedBackend = backend;
+}
+
+/**
+ * Get the backend resources are decrypted with: node:crypto in Node.js, WebCrypto in browsers, forge otherwise
+ *
+ * @returns {String}
+ */
+export function getAesBackend() {
+  if (forcedBackend) {
+    return forcedBackend;
+  }
+  // in browsers, the crypto module resolves to the WebCrypto object, which has no createDecipheriv
+  if (crypto && typeof crypto.createDecipheriv === 'function') {
+    return AES_BACKENDS.NODE;
+  }
+  if (getSubtle()) {
+    return AES_BACKENDS.WEBCRYPTO;
+  }
+  return AES_BACKENDS.FORGE;
+}
+
+/**
+ * Decrypts AES-256-CBC data prefixed with its IV, checking and removing its PKCS#7 padding
+ *
+ * @param key {Uint8Array}: 32 bytes key
+ * @param data {Uint8Array}: the IV followed by the encrypted data
+ * @returns {Promise<Uint8Array>}
+ * @throws {CorruptedDataError} if the data length or the padding is invalid
+ */
+export async function aesDecrypt(key, data) {
+  checkEncryptedLength(data.length);
+  const decipher = await createDecipher(key, data.subarray(0, BLOCK_SIZE));
+  const decrypted = new Uint8Array(data.length - BLOCK_SIZE);
+
+  let length = 0;
+  const append = bytes => {
+    decrypted.set(bytes, length);
+    length += bytes.length;
+  };
+  for (let index = BLOCK_SIZE; index < data.length; index += CHUNK_SIZE) {
+    append(await decipher.update(data.subarray(index, index + CHUNK_SIZE)));
+  }
+  append(await decipher.final());
+
+  return removePadding(decrypted.subarray(0, length));
+}
+
+/**
+ * Decrypts AES-256-CBC blocks, from anywhere in the data: the IV of a block is the encrypted block preceding it.
+ * The padding is not removed.
+ *
+ * @param key {Uint8Array}: 32 bytes key
+ * @param iv {Uint8Array}: the IV, or the encrypted block preceding the blocks
+ * @param blocks {Uint8Array}: encrypted blocks
+ * @returns {Promise<Uint8Array>}
+ */
+export async function aesDecryptBlocks(key, iv, blocks) {
+  const decipher = await createDecipher(key, iv);
+  return concatBytes(await decipher.update(blocks), await decipher.final());
+}
+
+/**
+ * Checks and removes the PKCS#7 padding of decrypted data
+ *
+ * @param bytes {Uint8Array}: decrypted data, or at least its last block
+ * @returns {Uint8Array}
+ * @throws {CorruptedDataError} if the padding is invalid
+ */
+export function removePadding(bytes) {
+  const paddingLength = bytes.length > 0 ? bytes[bytes.length - 1] : 0;
+  if (paddingLength < 1 || paddingLength > BLOCK_SIZE || paddingLength > bytes.length) {
+    throw new CorruptedDataError('invalid PKCS#7 padding');
+  }
+  for (let i = bytes.length - paddingLength; i < bytes.length; i++) {
+    if (bytes[i] !== paddingLength) {
+      throw new CorruptedDataError('invalid PKCS#7 padding');
+    }
+  }
+  return bytes.subarray(0, bytes.length - paddingLength);
+}
+
+/**
+ * Checks the length of AES-256-CBC data prefixed with its IV: padded data holds at least one block
+ *
+ * @param length
+ * @throws {CorruptedDataError} if the length is invalid
+ */
+export function checkEncryptedLength(length) {
+  if (length < 2 * BLOCK_SIZE || length % BLOCK_SIZE !== 0) {
+    throw new CorruptedDataError(`invalid encrypted data length ${length}`);
+  }
+}
+
+/**
+ * Same as aesDecrypt, the decrypted data being output as a stream of chunks
+ *
+ * @param key {Uint8Array}: 32 bytes key
+ * @param data {Uint8Array}: the IV followed by the encrypted data
+ * @param options: {inflate, originalLength} inflates the decrypted data, deflated before encryption,
+ * and checks its length if originalLength is set
+ * @returns {ReadableStream<Uint8Array>} erroring with CorruptedDataError, InflateError or LengthMismatchError
+ */
+export function aesDecryptStream(key, data, {inflate = false, originalLength = 0} = {}) {
+  let decipher = null;
+  let inflator = null;
+  let index = BLOCK_SIZE;
+  let enqueued = false;
+  let outputLength = 0;
+
+  const output = (controller, chunk) => {
+    controller.enqueue(chunk);
+    outputLength += chunk.length;
+    enqueued = true;
+  };
+
+  return new ReadableStream({
+    async start(controller) {
+      checkEncryptedLength(data.length);
+      decipher = await createDecipher(key, data.subarray(0, BLOCK_SIZE));
+      if (inflate) {
+        inflator = new pako.Inflate({raw: true});
+        inflator.onData = chunk => output(controller, chunk);
+      }
+    },
+
+    async pull(controller) {
+      // a pull must output something, the inflator only outputs full chunks
+      enqueued = false;
+      while (!enqueued) {
+        const isLastChunk = index + CHUNK_SIZE >= data.length;
+        let decrypted = await decipher.update(data.subarray(index, index + CHUNK_SIZE));
+        index += CHUNK_SIZE;
+        if (isLastChunk) {
+          // the last chunk ends with the last block, which holds the padding
+          decrypted = removePadding(concatBytes(decrypted, await decipher.final()));
+        }
+
+        if (inflator) {
+          inflator.push(decrypted, isLastChunk);
+          if (inflator.err) {
+            throw new InflateError(`inflate failed: ${inflator.msg || inflator.err}`);
+          }
+        } else if (decrypted.length > 0) {
+          output(controller, decrypted);
+        }
+
+        if (isLastChunk) {
+          if (originalLength > 0 && outputLength !== originalLength) {
+            throw new LengthMismatchError(`length ${outputLength} does not match original length ${originalLength}`, originalLength, outputLength);
+          }
+          controller.close();
+          return;
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Creates a decipher of the chosen backend, decrypting chunks whose length is a multiple of the block size.
+ * The padding is left in the output, so that all backends check it the same way.
+ *
+ * @param key {Uint8Array}
+ * @param iv {Uint8Array}
+ * @returns {Promise<{update: function(Uint8Array): Promise<Uint8Array>, final: function(): Promise<Uint8Array>}>}
+ */
+async function createDecipher(key, iv) {
+  switch (getAesBackend()) {
+    case AES_BACKENDS.NODE:
+      return createNodeDecipher(key, iv);
+    case AES_BACKENDS.WEBCRYPTO:
+      return createWebCryptoDecipher(key, iv);
+    default:
+      return createForgeDecipher(key, iv);
+  }
+}
+
+function createNodeDecipher(key, iv) {
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+  decipher.setAutoPadding(false);
+  return {
+    update: async chunk => decipher.update(chunk),
+    final: async () => decipher.final()
+  };
+}
+
+async function createWebCryptoDecipher(key, iv) {
+  const subtle = getSubtle();
+  const cryptoKey = await subtle.importKey('raw', key, {name: 'AES-CBC'}, false, ['encrypt', 'decrypt']);
+
+  // WebCrypto checks and removes the padding of every call: an encrypted block of padding is appended to each chunk
+  let previousBlock = iv;
+
+  return {
+    async update(chunk) {
+      if (chunk.length === 0) {
+        return new Uint8Array(0);
+      }
+      const lastBlock = chunk.subarray(chunk.length - BLOCK_SIZE);
+      const paddingBlock = new Uint8Array(await subtle.encrypt({name: 'AES-CBC', iv: lastBlock}, cryptoKey, new Uint8Array(0)));
+      const decrypted = await subtle.decrypt({name: 'AES-CBC', iv: previousBlock}, cryptoKey, concatBytes(chunk, paddingBlock));
+      previousBlock = lastBlock.slice();
+      return new Uint8Array(decrypted);
+    },
+
+    async final() {
+      return new Uint8Array(0);
+    }
+  };
+}
+
+function createForgeDecipher(key, iv) {
+  const decipher = forge.cipher.createDecipher('AES-CBC', bytesToBinary(key));
+  decipher.start({iv: bytesToBinary(iv)});
+  return {
+    async update(chunk) {
+      decipher.update(forge.util.createBuffer(bytesToBinary(chunk)));
+      return binaryToBytes(decipher.output.getBytes());
+    },
+    async final() {
+      // a custom padding function returning true leaves the output as is
+      decipher.finish(() => true);
+      return binaryToBytes(decipher.output.getBytes());
+    }
+  };
+}
+
+function getSubtle() {
+  return typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle ? globalThis.crypto.subtle : null;
+}
+
+function concatBytes(first, second) {
+  if (first.length === 0) {
+    return second;
+  }
+  if (second.length === 0) {
+    return first;
+  }
+  const bytes = new Uint8Array(first.length + second.length);
+  bytes.set(first);
+  bytes.set(second, first.length);
+  return bytes;
+}
@@ -3,6 +3,7 @@ import EpubCFI from "../cfi/epubcfi";
 
 const cheerio = require('cheerio');
 const forge = require('../../vendor/forge.toolkit');
+const random = require('node-forge/lib/random');
 
 const UTF8 = 'utf-8';
 const UTF16BE = 'utf-16be';
@@ -16,6 +17,7 @@ const UTF32BE_BOM_MARKER = '0-0-254-255';
 const UTF32LE_BOM_MARKER = '255-254-0-0';
 
 const TEXT_NODE = 3;
+const BINARY_CHUNK_SIZE = 1024 * 32; // stays below the argument count limit of String.fromCharCode
 
 export const EMPTY_ELEMENTS_COUNT = {characterCount: 0, imageCount: 0, videoCount: 0, totalCount: 0};
 
@@ -301,8 +303,8 @@ export function extractEncryptionsData(encryptionFile) {
 
       resources[makeAbsolutePath(decodeURIComponent(uri))] = {
         algorithm,
-        compressionMethod: compression ? parseInt(compression.attr('Method'), 10) : 0,
-        originalLength: compression ? parseInt(compression.attr('OriginalLength'), 10) : 0,
+        compressionMethod: compression.length > 0 ? parseInt(compression.attr('Method'), 10) : 0,
+        originalLength: compression.length > 0 ? parseInt(compression.attr('OriginalLength'), 10) : 0,
         type
       };
     });
@@ -332,3 +334,86 @@ export function fetchAsArrayBuffer(url) {
     req.send(null);
   });
 }
+
+/**
+ * Converts binary data to one of the JSZip output formats
+ *
+ * @param data {Uint8Array}
+ * @param format: 'string', 'text', 'uint8array', 'arraybuffer', 'nodebuffer', 'base64' or 'blob'
+ * @returns {*}
+ */
+export function convertBytes(data, format) {
+  switch (format) {
+    case 'string':
+    case 'text':
+      return new TextDecoder('utf-8').decode(data);
+    case 'uint8array':
+      return data;
+    case 'arraybuffer':
+      return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    case 'nodebuffer':
+      return typeof Buffer === 'undefined' ? data : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    case 'base64':
+      return forge.util.encode64(bytesToBinary(data));
+    case 'blob':
+      return new Blob([data]);
+    default:
+      throw new Error(`unsupported output format ${format}`);
+  }
+}
+
+/**
+ * Get the binary format generated zips are output in by default: Buffer in Node.js, Uint8Array in browsers
+ *
+ * @returns {string}
+ */
+export function getDefaultOutputType() {
+  return typeof Buffer === 'undefined' ? 'uint8array' : 'nodebuffer';
+}
+
+export function binaryToBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+export function bytesToBinary(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BINARY_CHUNK_SIZE) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + BINARY_CHUNK_SIZE));
+  }
+  return binary;
+}
+
+export function escapeXml(value) {
+  return `${value}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a date like OPF and LCP license dates: ISO 8601 without milliseconds
+ *
+ * @param date: a Date or a date string
+ * @returns {string}
+ */
+export function formatDate(date) {
+  return (date instanceof Date ? date : new Date(date)).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Generates a random UUID (version 4) from a cryptographically secure source
+ *
+ * @returns {string}
+ */
+export function generateUuid() {
+  const bytes = binaryToBytes(random.getBytesSync(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20)}`;
+}
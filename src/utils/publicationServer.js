@@ -0,0 +1,163 @@
+import {isEmpty} from './index';
+
+const MANIFEST_PATH = 'manifest.json';
+const MANIFEST_CONTENT_TYPE = 'application/webpub+json';
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+const BYTES_FORMAT = 'uint8array';
+
+/**
+ * Shared logic of the servers of publication resources (Streamer, ServiceWorkerAdapter)
+ */
+
+export function createPublication(ebook, id) {
+  return {
+    ebook,
+    etagPrefix: `${Date.now().toString(36)}-${id}`,
+    lastFile: null
+  };
+}
+
+export function normalizePrefix(prefix) {
+  prefix = prefix[0] === '/' || prefix.indexOf('://') !== -1 ? prefix : `/${prefix}`;
+  return prefix[prefix.length - 1] === '/' ? prefix.substr(0, prefix.length - 1) : prefix;
+}
+
+/**
+ * Finds the longest mounted prefix of a path
+ *
+ * @param prefixes
+ * @param pathname
+ * @returns {String|null}
+ */
+export function findPrefix(prefixes, pathname) {
+  return prefixes
+    .filter(prefix => pathname.indexOf(`${prefix}/`) === 0)
+    .reduce((longest, prefix) => longest === null || prefix.length > longest.length ? prefix : longest, null);
+}
+
+/**
+ * Computes the response to a request on a publication resource, handling conditional and range requests
+ *
+ * @param publication: a mounted publication
+ * @param path: the path of the resource in the publication, 'manifest.json' for the generated manifest
+ * @param request: {method, range, ifNoneMatch}
+ * @returns {Promise<{status, headers, data}>}
+ */
+export async function servePublicationFile(publication, path, {method = 'GET', range, ifNoneMatch} = {}) {
+  if (method !== 'GET' && method !== 'HEAD') {
+    return {status: 405, headers: {Allow: 'GET, HEAD, OPTIONS'}, data: null};
+  }
+
+  const file = isEmpty(path) ? null : await getPublicationFile(publication, path, !isEmpty(range));
+  if (!file) {
+    return {status: 404, headers: {}, data: null};
+  }
+
+  const size = file.size;
+  const etag = `"${publication.etagPrefix}-${hashCode(path).toString(36)}-${size}"`;
+  const headers = {
+    'Content-Type': file.contentType || DEFAULT_CONTENT_TYPE,
+    'Accept-Ranges': 'bytes',
+    'ETag': etag
+  };
+
+  if (ifNoneMatch === etag) {
+    return {status: 304, headers, data: null};
+  }
+
+  const byteRange = parseRange(range, size);
+  if (byteRange === false) {
+    headers['Content-Range'] = `bytes */${size}`;
+    return {status: 416, headers, data: null};
+  }
+
+  const {start, end} = byteRange || {start: 0, end: size - 1};
+  if (byteRange) {
+    headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+  }
+  headers['Content-Length'] = `${end - start + 1}`;
+
+  return {
+    status: byteRange ? 206 : 200,
+    headers,
+    data: method === 'HEAD' ? null : await file.read(start, end + 1)
+  };
+}
+
+async function getPublicationFile(publication, path, isRangeRequest) {
+  if (publication.lastFile && publication.lastFile.path === path) {
+    return publication.lastFile;
+  }
+
+  const ebook = publication.ebook;
+  if (isRangeRequest && path !== MANIFEST_PATH && typeof ebook.isRangeDeciphered === 'function' && await ebook.isRangeDeciphered(path)) {
+    // stored LCP resources are deciphered by range, only the blocks of the requested bytes being read
+    const {length, contentType} = await ebook.getFileRange(path, 0, 0);
+    return {path, size: length, contentType, read: async (start, end) => (await ebook.getFileRange(path, start, end)).data};
+  }
+
+  const file = await readPublicationFile(ebook, path);
+  if (!file) {
+    return null;
+  }
+
+  // range requests on media come in series, keeping the last file avoids deciphering it again and again
+  const data = file.data;
+  publication.lastFile = {path, size: data.length, contentType: file.contentType, read: (start, end) => data.subarray(start, end)};
+  return publication.lastFile;
+}
+
+async function readPublicationFile(ebook, path) {
+  if (path === MANIFEST_PATH) {
+    const manifest = typeof ebook.toWebPubManifest === 'function' ? await ebook.toWebPubManifest() : await ebook.manifest();
+    return {
+      data: new TextEncoder().encode(JSON.stringify(manifest)),
+      contentType: MANIFEST_CONTENT_TYPE
+    };
+  }
+
+  if (typeof ebook.getFile === 'function') {
+    return ebook.getFile(path, BYTES_FORMAT);
+  }
+  if (typeof ebook.getPdf === 'function' && ebook.getPdfPath() === path) {
+    return ebook.getPdf(BYTES_FORMAT);
+  }
+  return null;
+}
+
+/**
+ * Parses a single range Range header
+ *
+ * @param header
+ * @param size
+ * @returns {{start, end}|null|false} null if no range is requested, false if the range is not satisfiable
+ */
+function parseRange(header, size) {
+  const match = header && header.match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start, end;
+  if (match[1] === '') {
+    // suffix range: the last n bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start > end || start >= size) {
+    return false;
+  }
+  return {start, end};
+}
+
+function hashCode(string) {
+  let hash = 0;
+  for (let i = 0; i < string.length; i++) {
+    hash = ((hash << 5) - hash + string.charCodeAt(i)) | 0;
+  }
+  return hash >>> 0;
+}
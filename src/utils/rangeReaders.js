@@ -0,0 +1,135 @@
+/**
+ * Byte-range readers used by RangeZip to load zip entries on demand.
+ * Each one implements size(): Promise<number> and read(offset, length): Promise<Uint8Array>
+ */
+
+export class HttpRangeReader {
+
+  /**
+   * @param url: url of the zip file, the server must support Range requests
+   * @param options: {fetch, headers}
+   */
+  constructor(url, {fetch: fetchFunction, headers = {}} = {}) {
+    this._url = url;
+    this._fetch = fetchFunction || ((...args) => fetch(...args));
+    this._headers = headers;
+  }
+
+  async size() {
+    if (this._size !== undefined) {
+      return this._size;
+    }
+
+    const response = await this._fetch(this._url, {method: 'HEAD', headers: this._headers});
+    const contentLength = response.ok ? response.headers.get('Content-Length') : null;
+    if (contentLength !== null) {
+      this._size = parseInt(contentLength, 10);
+      return this._size;
+    }
+
+    // some servers do not answer HEAD requests, asking for the first byte gives the total size
+    const rangeResponse = await this._fetch(this._url, {headers: Object.assign({Range: 'bytes=0-0'}, this._headers)});
+    const contentRange = rangeResponse.headers.get('Content-Range');
+    const match = contentRange && contentRange.match(/\/(\d+)$/);
+    if (!match) {
+      throw new Error(`can not get size of ${this._url}`);
+    }
+    this._size = parseInt(match[1], 10);
+    return this._size;
+  }
+
+  async read(offset, length) {
+    if (length === 0) {
+      return new Uint8Array(0);
+    }
+
+    const range = `bytes=${offset}-${offset + length - 1}`;
+    const response = await this._fetch(this._url, {headers: Object.assign({Range: range}, this._headers)});
+    if (!response.ok) {
+      throw new Error(`failed to fetch ${range} of ${this._url}: ${response.status}`);
+    }
+
+    const data = new Uint8Array(await response.arrayBuffer());
+    if (response.status !== 206) {
+      // range ignored by the server, the whole file has been sent
+      return data.slice(offset, offset + length);
+    }
+    return data;
+  }
+}
+
+export class FileHandleReader {
+
+  /**
+   * @param fileHandle: a Node.js FileHandle, as returned by fs.promises.open
+   */
+  constructor(fileHandle) {
+    this._fileHandle = fileHandle;
+  }
+
+  async size() {
+    const stats = await this._fileHandle.stat();
+    return stats.size;
+  }
+
+  async read(offset, length) {
+    const buffer = new Uint8Array(length);
+    const {bytesRead} = await this._fileHandle.read(buffer, 0, length, offset);
+    return bytesRead < length ? buffer.subarray(0, bytesRead) : buffer;
+  }
+}
+
+export class BlobReader {
+
+  /**
+   * @param blob: a Blob or a File
+   */
+  constructor(blob) {
+    this._blob = blob;
+  }
+
+  async size() {
+    return this._blob.size;
+  }
+
+  async read(offset, length) {
+    const arrayBuffer = await blobToArrayBuffer(this._blob.slice(offset, offset + length));
+    return new Uint8Array(arrayBuffer);
+  }
+}
+
+export class BufferReader {
+
+  /**
+   * @param data: a Uint8Array, a Node.js Buffer or an ArrayBuffer
+   */
+  constructor(data) {
+    this._data = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  }
+
+  async size() {
+    return this._data.length;
+  }
+
+  async read(offset, length) {
+    return this._data.subarray(offset, offset + length);
+  }
+}
+
+export function isRangeReader(object) {
+  return !!object && typeof object.read === 'function' && typeof object.size === 'function';
+}
+
+function blobToArrayBuffer(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer();
+  }
+  return new Promise((resolve, reject) => {
+    const fileReader = new FileReader();
+    fileReader.onload = function () {
+      resolve(this.result);
+    };
+    fileReader.onerror = reject;
+    fileReader.readAsArrayBuffer(blob);
+  });
+}
@@ -0,0 +1,107 @@
+import fs from 'fs';
+
+const STORE_NAME = 'counters';
+
+/**
+ * Storages of the print and copy counters used by RightsManager.
+ * Each one implements get(licenseId): Promise<{print, copy}|null> and set(licenseId, counters): Promise
+ */
+
+export class MemoryRightsStorage {
+
+  constructor() {
+    this._counters = {};
+  }
+
+  async get(licenseId) {
+    const counters = this._counters[licenseId];
+    return counters ? Object.assign({}, counters) : null;
+  }
+
+  async set(licenseId, counters) {
+    this._counters[licenseId] = Object.assign({}, counters);
+  }
+}
+
+export class JsonFileRightsStorage {
+
+  /**
+   * Stores the counters of all the licenses in a JSON file, Node.js only
+   *
+   * @param filePath
+   */
+  constructor(filePath) {
+    this._filePath = filePath;
+  }
+
+  async get(licenseId) {
+    const counters = (await this._read())[licenseId];
+    return counters || null;
+  }
+
+  async set(licenseId, counters) {
+    const allCounters = await this._read();
+    allCounters[licenseId] = Object.assign({}, counters);
+
+    // written aside then renamed, so that a crash can not leave a truncated file
+    const temporaryPath = `${this._filePath}.tmp`;
+    await fs.promises.writeFile(temporaryPath, JSON.stringify(allCounters, null, 2));
+    await fs.promises.rename(temporaryPath, this._filePath);
+  }
+
+  async _read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+}
+
+export class IndexedDbRightsStorage {
+
+  /**
+   * @param options: {databaseName, indexedDB} the IndexedDB factory, the global one by default
+   */
+  constructor({databaseName = 'lcp-rights', indexedDB: indexedDBFactory} = {}) {
+    this._databaseName = databaseName;
+    this._indexedDB = indexedDBFactory || (typeof indexedDB === 'undefined' ? null : indexedDB);
+    this._database = null;
+  }
+
+  async get(licenseId) {
+    const counters = await this._request('readonly', store => store.get(licenseId));
+    return counters || null;
+  }
+
+  async set(licenseId, counters) {
+    await this._request('readwrite', store => store.put(Object.assign({}, counters), licenseId));
+  }
+
+  async _open() {
+    if (!this._database) {
+      this._database = await promisify(() => {
+        const request = this._indexedDB.open(this._databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        return request;
+      });
+    }
+    return this._database;
+  }
+
+  async _request(mode, operation) {
+    const database = await this._open();
+    return promisify(() => operation(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  }
+}
+
+function promisify(createRequest) {
+  return new Promise((resolve, reject) => {
+    const request = createRequest();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -1,22 +1,32 @@
 import {FileNotFoundError} from '../errors';
 import {hash} from 'rsvp';
 import {
-  convertUtf16Data, EMPTY_ELEMENTS_COUNT, enrichTocItems, extractEncryptionsData,
+  convertBytes, convertUtf16Data, EMPTY_ELEMENTS_COUNT, enrichTocItems, extractEncryptionsData,
   getBasePath, getDirPath,
   getOpfFilePath,
   getSpineElementsCountInDom,
   isEmpty,
+  makeAbsolutePath,
   normalizePath,
   parseXml
 } from './index';
 import Lcp, {PROTECTION_METHODS} from '../Lcp';
 import cheerio from 'cheerio';
+import JSZip from 'jszip';
+import {deobfuscateAdobeFont, deobfuscateIdpfFont} from '../FontObfuscation';
 
 const forge = require('../../vendor/forge.toolkit');
 
 export const BYTES_FORMAT = 'uint8array';
 export const STRING_FORMAT = 'string';
 export const ARRAYBUFFER_FORMAT = 'arraybuffer';
+export const LICENSE_PATHS = ['META-INF/license.lcpl', 'license.lcpl'];
+
+const MIMETYPE_PATH = 'mimetype';
+
+const UUID_IDENTIFIER_REGEX = /^urn:uuid:[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+
+const ZIP_DEFLATE_METHOD = 8;
 
 const ENCRYPTION_METHODS = {
   IDPF: 'http://www.idpf.org/2008/embedding',
@@ -69,6 +79,69 @@ export async function getProtectedFiles(zip) {
   }
 }
 
+/**
+ * Lists every encrypted resource of the zip with the protection method it relies on
+ *
+ * @param zip
+ * @param license: the parsed LCP license if any
+ * @param keys: LCP user keys
+ * @param identifiers: {uid, uuid} the publication identifiers used as font obfuscation keys
+ * @returns {Promise<{resources: Array, methods: Array}>}
+ */
+export async function getProtectionReport(zip, license, keys, identifiers = {}) {
+  const protectedFiles = await getProtectedFiles(zip);
+  const userKey = await Lcp.getValidUserKey(license, keys);
+
+  const resources = Object.keys(protectedFiles).map(path => {
+    const protection = protectedFiles[path];
+    const method = getProtectionMethod(protection);
+    return Object.assign({
+      path,
+      method,
+      exists: !!zip.file(path.substr(1)),
+      hasValidKey: hasProtectionKey(method, userKey, identifiers)
+    }, protection);
+  });
+
+  const methods = resources.reduce((methods, resource) => {
+    if (!methods.includes(resource.method)) {
+      methods.push(resource.method);
+    }
+    return methods;
+  }, []);
+
+  return {resources, methods};
+}
+
+function getProtectionMethod(protection) {
+  if (protection.algorithm === ENCRYPTION_METHODS.IDPF) {
+    return PROTECTION_METHODS.IDPF_FONT;
+  }
+  if (protection.algorithm === ENCRYPTION_METHODS.ADOBE) {
+    return PROTECTION_METHODS.ADOBE_FONT;
+  }
+  if (protection.type === PROTECTION_METHODS.LCP) {
+    return PROTECTION_METHODS.LCP;
+  }
+  if (protection.type === PROTECTION_METHODS.ADOBE_DRM) {
+    return PROTECTION_METHODS.ADOBE_DRM;
+  }
+  return PROTECTION_METHODS.UNKNOWN;
+}
+
+function hasProtectionKey(method, userKey, identifiers) {
+  switch (method) {
+    case PROTECTION_METHODS.LCP:
+      return !isEmpty(userKey);
+    case PROTECTION_METHODS.IDPF_FONT:
+      return !isEmpty(identifiers.uid);
+    case PROTECTION_METHODS.ADOBE_FONT:
+      return !isEmpty(identifiers.uuid);
+    default:
+      return false;
+  }
+}
+
 export async function getCoverPath(zip) {
   const {basePath, opf} = await getOpfContent(zip);
   return getCoverFilePath(zip, opf, basePath);
@@ -195,14 +268,57 @@ function getImagePathFromXhtml(xhtml) {
 }
 
 export async function getLcpLicense(zip) {
+  // epubs store the license in META-INF, Readium packages (audiobooks, pdf) at the root
+  const licensePath = LICENSE_PATHS.find(path => zip.file(path));
+  if (!licensePath) {
+    return null;
+  }
   try {
-    const licenseJson = await getFile(zip, 'META-INF/license.lcpl');
+    const licenseJson = await getFile(zip, licensePath);
     return JSON.parse(licenseJson);
   } catch {
     return null;
   }
 }
 
+/**
+ * Get the publication identifiers used as font obfuscation keys:
+ * - uid: the unique identifier, for IDPF obfuscation
+ * - uuid: the urn:uuid identifier, for Adobe obfuscation
+ *
+ * @param zip
+ * @returns {Promise<{uid: String|null, uuid: String|null}>}
+ */
+export async function getIdentifiers(zip) {
+  const {opf} = await getOpfContent(zip);
+  return getOpfIdentifiers(opf);
+}
+
+/**
+ * Same as getIdentifiers, from a parsed package document
+ *
+ * @param opf
+ * @returns {{uid, uuid}}
+ */
+export function getOpfIdentifiers(opf) {
+  const uid = findUniqueIdentifier(opf);
+
+  let uuid = UUID_IDENTIFIER_REGEX.test(uid) ? uid : null;
+  if (!uuid) {
+    const uuidIdentifier = opf('metadata > *')
+      .filter((index, element) => element.tagName === 'dc:identifier' && UUID_IDENTIFIER_REGEX.test(cheerio(element).text().trim()));
+    uuid = isEmpty(uuidIdentifier) ? null : uuidIdentifier.first().text().trim();
+  }
+
+  return {uid, uuid};
+}
+
+function findUniqueIdentifier(opf) {
+  const uniqueIdentifierId = opf('package').attr('unique-identifier');
+  const identifier = opf('metadata > *').filter((index, element) => element.attribs['id'] === uniqueIdentifierId);
+  return isEmpty(identifier) ? null : identifier.first().text().trim();
+}
+
 export function getOpfContent(zip) {
   let basePath;
 
@@ -235,27 +351,105 @@ export function analyzeSpineItem(zip, spine, license, userKey, toc) {
     });
 }
 
-export async function getZipFileData(zipFile, contentType, protection, license, userKey) {
-  const fetchMode = getFetchModeFromMimeType(contentType);
+/**
+ * Get the data of a zip file, deciphered or de-obfuscated if needed
+ *
+ * @param zipFile
+ * @param contentType
+ * @param protection: the protection of the file as described in encryption.xml
+ * @param license: the LCP license
+ * @param userKey: a valid LCP user key
+ * @param identifiers: {uid, uuid} the publication identifiers used as font obfuscation keys
+ * @param format: the output format ('uint8array', 'nodebuffer'...), guessed from the content type by default
+ * @returns {Promise}
+ */
+export async function getZipFileData(zipFile, contentType, protection, license, userKey, identifiers = {}, format = null) {
+  const fetchMode = format || getFetchModeFromMimeType(contentType);
   if (!protection) {
     return zipFile.async(fetchMode);
   }
   switch (protection.algorithm) {
     case ENCRYPTION_METHODS.LCP:
-      const decodedData = await Lcp.decipherFile(fetchMode, await zipFile.async('arraybuffer'), protection, license, userKey);
+      const decodedData = await Lcp.decipherFile(fetchMode, await zipFile.async(BYTES_FORMAT), protection, license, userKey);
       if (fetchMode === 'text') {
         return fixDecodedTextData(decodedData, contentType);
       }
-      return decodedData;
+      return convertBytes(decodedData, fetchMode);
 
     case ENCRYPTION_METHODS.IDPF:
-      // not implemented yet
-      return zipFile.async(fetchMode);
+      if (isEmpty(identifiers.uid)) {
+        return zipFile.async(fetchMode);
+      }
+      return convertBytes(deobfuscateIdpfFont(await zipFile.async(BYTES_FORMAT), identifiers.uid), fetchMode);
 
     case ENCRYPTION_METHODS.ADOBE:
-      // not implemented yet
-      return zipFile.async(fetchMode);
+      if (isEmpty(identifiers.uuid)) {
+        return zipFile.async(fetchMode);
+      }
+      return convertBytes(deobfuscateAdobeFont(await zipFile.async(BYTES_FORMAT), identifiers.uuid), fetchMode);
+  }
+}
+
+/**
+ * Get the data of a file as a stream of bytes: LCP resources are deciphered and inflated chunk by chunk,
+ * other resources being output in a single chunk
+ *
+ * @param zipFile
+ * @param protection: the protection of the file as described in encryption.xml
+ * @param license: the LCP license
+ * @param userKey: a valid LCP user key
+ * @param identifiers: {uid, uuid} the publication identifiers used as font obfuscation keys
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ */
+export async function getZipFileStream(zipFile, protection, license, userKey, identifiers = {}) {
+  if (protection && protection.algorithm === ENCRYPTION_METHODS.LCP) {
+    return Lcp.decipherStream(await zipFile.async(BYTES_FORMAT), protection, license, userKey);
+  }
+
+  const data = await getZipFileData(zipFile, '', protection, license, userKey, identifiers, BYTES_FORMAT);
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(data);
+      controller.close();
+    }
+  });
+}
+
+/**
+ * Whether a resource can be deciphered by range: LCP resources which are not deflated
+ *
+ * @param protection: the protection of the file as described in encryption.xml
+ * @returns {boolean}
+ */
+export function isRangeDecipherable(protection) {
+  return !!protection && protection.algorithm === ENCRYPTION_METHODS.LCP && protection.compressionMethod !== ZIP_DEFLATE_METHOD;
+}
+
+/**
+ * Get a range of the data of a file: stored LCP resources which are not deflated are deciphered by range,
+ * other resources being read entirely before being sliced
+ *
+ * @param zipFile
+ * @param protection: the protection of the file as described in encryption.xml
+ * @param license: the LCP license
+ * @param userKey: a valid LCP user key
+ * @param identifiers: {uid, uuid} the publication identifiers used as font obfuscation keys
+ * @param start: offset of the first byte
+ * @param end: offset following the last byte, the end of the file by default
+ * @returns {Promise<{data: Uint8Array, length: number}>} the bytes, and the length of the whole file
+ */
+export async function getZipFileRange(zipFile, protection, license, userKey, identifiers = {}, start = 0, end = null) {
+  if (isRangeDecipherable(protection)) {
+    // RangeZip entries read their data by range, other zips load it
+    const source = typeof zipFile.createReader === 'function' ? await zipFile.createReader() : await zipFile.async(BYTES_FORMAT);
+    return Lcp.decipherRange(source, start, end, license, userKey);
   }
+
+  const data = await getZipFileData(zipFile, '', protection, license, userKey, identifiers, BYTES_FORMAT);
+  return {
+    data: data.subarray(Math.max(start || 0, 0), isEmpty(end) ? data.length : end),
+    length: data.length
+  };
 }
 
 
@@ -266,6 +460,9 @@ function getFetchModeFromMimeType(mimeType) {
   if (mimeType.indexOf('video') !== -1) {
     return 'nodebuffer';
   }
+  if (mimeType.indexOf('audio') !== -1) {
+    return 'nodebuffer';
+  }
   if (mimeType.indexOf('font') !== -1) {
     return 'nodebuffer';
   }
@@ -290,15 +487,51 @@ function fixDecodedTextData(decryptedBinaryData, mimeType) {
   if (/html/.test(mimeType)) {
     try {
       data = forge.util.decodeUtf8(data);
-
-      // trimming bad data at the end the spine
-      var lastClosingTagIndex = data.lastIndexOf('>');
-      if (lastClosingTagIndex > 0) {
-        data = data.substring(0, lastClosingTagIndex + 1);
-      }
     } catch (err) {
       console.warn('Can’t decode utf8 content', err);
     }
   }
   return data;
 }
+
+/**
+ * Removes the entries of the given resources from encryption.xml
+ *
+ * @param encryptionXml
+ * @param paths: absolute paths of the resources
+ * @returns {String|null} the new encryption.xml, null if no entry is left
+ */
+export function removeEncryptedDataEntries(encryptionXml, paths) {
+  const encryptionFile = parseXml(encryptionXml);
+  encryptionFile('EncryptedData').each((index, element) => {
+    const uri = encryptionFile('CipherData > CipherReference', element).attr('URI');
+    if (uri && paths.includes(makeAbsolutePath(decodeURIComponent(uri)))) {
+      encryptionFile(element).remove();
+    }
+  });
+
+  if (encryptionFile('EncryptedData').length === 0) {
+    return null;
+  }
+  return encryptionFile.xml();
+}
+
+/**
+ * Generates a zip container from a list of files
+ *
+ * @param files: Array<{path, data}> in their order in the archive
+ * @param type: JSZip output type
+ * @returns {Promise}
+ */
+export function generateZip(files, type) {
+  const zip = new JSZip();
+  const mimetypeFile = files.find(file => file.path === MIMETYPE_PATH);
+  if (mimetypeFile) {
+    // the mimetype file must be the first entry of the archive, and must not be compressed
+    zip.file(mimetypeFile.path, mimetypeFile.data, {compression: 'STORE', createFolders: false});
+  }
+  files
+    .filter(file => file.path !== MIMETYPE_PATH)
+    .forEach(file => zip.file(file.path, file.data, {createFolders: false}));
+  return zip.generateAsync({type, compression: 'DEFLATE'});
+}
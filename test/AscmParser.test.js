@@ -0,0 +1,55 @@
+import {Explorer, InvalidAscmError} from '../index';
+
+const ASCM = `<?xml version="1.0"?>
+<fulfillmentToken fulfillmentType="buy" auth="user" xmlns="http://ns.adobe.com/adept">
+  <distributor>urn:uuid:distributor</distributor>
+  <operatorURL>https://acs.example.com/fulfillment</operatorURL>
+  <transaction>ACS4-123</transaction>
+  <expiration>2020-01-01T00:00:00+00:00</expiration>
+  <resourceItemInfo>
+    <resource>urn:uuid:resource</resource>
+    <resourceItem>0</resourceItem>
+    <metadata>
+      <dc:title xmlns:dc="http://purl.org/dc/elements/1.1/">Test Book</dc:title>
+      <dc:creator xmlns:dc="http://purl.org/dc/elements/1.1/">Jane Doe</dc:creator>
+      <dc:format xmlns:dc="http://purl.org/dc/elements/1.1/">application/epub+zip</dc:format>
+    </metadata>
+  </resourceItemInfo>
+  <hmac>abc=</hmac>
+</fulfillmentToken>`;
+
+describe('Explorer.parseAscm', () => {
+  test('parses the fulfillment token fields', () => {
+    const ascm = Explorer.parseAscm(Buffer.from(ASCM));
+    expect(ascm).toEqual({
+      fulfillmentType: 'buy',
+      distributor: 'urn:uuid:distributor',
+      operatorUrl: 'https://acs.example.com/fulfillment',
+      transactionId: 'ACS4-123',
+      expiration: new Date('2020-01-01T00:00:00Z'),
+      resourceId: 'urn:uuid:resource',
+      resourceItem: '0',
+      format: 'epub',
+      mimeType: 'application/epub+zip',
+      metadata: {title: 'Test Book', creator: 'Jane Doe', publisher: null, identifier: null, language: null},
+      signature: 'abc='
+    });
+    expect(Explorer.parseAscm(ASCM)).toEqual(ascm);
+  });
+
+  test('reports missing required fields', () => {
+    let error;
+    try {
+      Explorer.parseAscm(ASCM.replace(/<transaction>.*<\/transaction>/, ''));
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(InvalidAscmError);
+    expect(error.missingFields).toEqual(['transactionId']);
+  });
+
+  test('rejects documents which are not fulfillment tokens', () => {
+    expect(() => Explorer.parseAscm('<foo/>')).toThrow(InvalidAscmError);
+    expect(() => Explorer.parseAscm(ASCM.replace('2020-01-01T00:00:00+00:00', 'tomorrow'))).toThrow('invalid expiration date tomorrow');
+  });
+});
@@ -0,0 +1,60 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import {Explorer} from '../index';
+import DirectoryEpub from '../src/DirectoryEpub';
+import {chapter, epubFiles, makeLcpEpub, PNG, USER_KEY} from './helpers/fixtures';
+
+async function writeFiles(directory, files) {
+  for (const filePath of Object.keys(files)) {
+    await fs.promises.mkdir(path.join(directory, path.dirname(filePath)), {recursive: true});
+    await fs.promises.writeFile(path.join(directory, filePath), files[filePath]);
+  }
+}
+
+async function explode(zipData) {
+  const zip = await JSZip.loadAsync(zipData);
+  const files = {};
+  for (const name of Object.keys(zip.files).filter(name => !zip.files[name].dir)) {
+    files[name] = await zip.files[name].async('nodebuffer');
+  }
+  return files;
+}
+
+describe('DirectoryEpub', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'directory-epub-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, {recursive: true});
+  });
+
+  test('analyzes an unzipped epub like a zipped one', async () => {
+    await writeFiles(directory, epubFiles());
+    const ebook = await Explorer.loadFromDirectory(directory);
+
+    expect(ebook).toBeInstanceOf(DirectoryEpub);
+    expect(ebook.getDirectoryPath()).toBe(directory);
+    expect(await ebook.getCoverPath()).toBe('OEBPS/images/cover.png');
+    const analysis = await ebook.analyze();
+    expect(analysis.metadata['dc:title']).toBe('Test Book');
+    expect(analysis.spine.map(item => item.path)).toEqual(['/OEBPS/text/c1.xhtml', '/OEBPS/text/c2.xhtml']);
+    expect(analysis.toc).toHaveLength(2);
+
+    expect((await ebook.getFile('OEBPS/style.css')).data).toBe('body { color: black; }');
+    expect(await ebook.getFile('OEBPS/missing.css')).toBeUndefined();
+  });
+
+  test('deciphers LCP resources stored in a directory', async () => {
+    const {data} = await makeLcpEpub();
+    await writeFiles(directory, await explode(data));
+    const ebook = await Explorer.loadFromDirectory(directory, null, [USER_KEY]);
+
+    expect((await ebook.getFile('OEBPS/text/c1.xhtml')).data).toBe(chapter(1));
+    expect(Buffer.compare((await ebook.getFile('OEBPS/images/cover.png', 'nodebuffer')).data, PNG)).toBe(0);
+  });
+});
@@ -0,0 +1,88 @@
+import JSZip from 'jszip';
+import {EpubBuilder, Explorer} from '../index';
+import {PNG, USER_KEY} from './helpers/fixtures';
+
+const UUID_REGEX = /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+function createBuilder() {
+  return new EpubBuilder({title: 'Built & <Tested>', creators: ['Jane Doe', 'John Doe'], subjects: 'Fiction', modified: new Date('2021-02-03T04:05:06.789Z')})
+    .addChapter('text/c1.xhtml', '<h1 id="one">One</h1><p>Hello world</p>', {title: 'One'})
+    .addChapter('text/c2.xhtml', '<p>Two</p>', {title: 'Two'})
+    .addResource('style.css', 'p { margin: 0; }')
+    .setCover('images/cover.png', PNG);
+}
+
+describe('EpubBuilder', () => {
+  test('generates a valid epub', async () => {
+    const data = await createBuilder().generate();
+
+    expect(Buffer.isBuffer(data)).toBe(true);
+    expect(await Explorer.validate(data)).toEqual([]);
+
+    const ebook = await Explorer.open(data);
+    const metadata = await ebook.getMetadata();
+    expect(metadata['dc:title']).toBe('Built & <Tested>');
+    expect(metadata['dc:identifier']).toMatch(UUID_REGEX);
+    expect(metadata['dcterms:modified']).toBe('2021-02-03T04:05:06Z');
+    expect((await ebook.getSpine()).map(item => item.path)).toEqual(['/OEBPS/text/c1.xhtml', '/OEBPS/text/c2.xhtml']);
+    expect((await ebook.getToc()).map(item => item.label)).toEqual(['One', 'Two']);
+    expect(await ebook.getCoverPath()).toBe('OEBPS/images/cover.png');
+
+    const zip = await JSZip.loadAsync(data);
+    expect(await zip.file('OEBPS/toc.ncx').async('string')).toContain('<text>Built &amp; &lt;Tested&gt;</text>');
+  });
+
+  test('follows a custom spine and toc', async () => {
+    const data = await createBuilder()
+      .setSpine(['text/c2.xhtml', 'text/c1.xhtml'])
+      .setToc([{title: 'Part', href: 'text/c2.xhtml', children: [{title: 'One', href: 'text/c1.xhtml#one'}]}])
+      .generate({type: 'uint8array'});
+
+    expect(data).toBeInstanceOf(Uint8Array);
+    const ebook = await Explorer.open(data);
+    expect((await ebook.getSpine()).map(item => item.path)).toEqual(['/OEBPS/text/c2.xhtml', '/OEBPS/text/c1.xhtml']);
+    const toc = await ebook.getToc();
+    expect(toc.map(item => item.label)).toEqual(['Part']);
+    expect(toc[0].items.map(item => item.label)).toEqual(['One']);
+  });
+
+  test('lists the spine documents in the toc when no chapter has a title', async () => {
+    const builder = new EpubBuilder({title: 'Untitled chapters'})
+      .addChapter('text/c1.xhtml', '<p>One</p>')
+      .addChapter('text/c2.xhtml', '<p>Two</p>');
+    const files = builder.getFiles();
+    expect(files['OEBPS/nav.xhtml']).toContain('<li><a href="text/c1.xhtml">c1</a></li>');
+    expect(files['OEBPS/toc.ncx']).toContain('<navPoint id="navpoint-2" playOrder="2">');
+
+    const data = await builder.generate();
+    expect(await Explorer.validate(data)).toEqual([]);
+    const ebook = await Explorer.open(data);
+    expect((await ebook.getToc()).map(item => item.label)).toEqual(['c1', 'c2']);
+  });
+
+  test('identifies each publication with a random uuid', () => {
+    const identifiers = [new EpubBuilder(), new EpubBuilder()].map(builder => builder.getFiles()['OEBPS/content.opf'])
+      .map(opf => /<dc:identifier id="uid">([^<]+)</.exec(opf)[1]);
+    identifiers.forEach(identifier => expect(identifier).toMatch(UUID_REGEX));
+    expect(identifiers[0]).not.toBe(identifiers[1]);
+  });
+
+  test('round trips through validate, encrypt, open and decipher', async () => {
+    const built = await createBuilder().generate();
+    expect(await Explorer.validate(built)).toEqual([]);
+
+    const {data: encrypted, license} = await Explorer.encrypt(built, USER_KEY);
+    expect(await Explorer.validate(encrypted)).toEqual([]);
+
+    const ebook = await Explorer.open(encrypted, {keys: [USER_KEY]});
+    expect((await ebook.getLicense()).id).toBe(license.id);
+    expect((await ebook.getFile('OEBPS/text/c1.xhtml')).data).toContain('<p>Hello world</p>');
+
+    const deciphered = await JSZip.loadAsync(await Explorer.decipher(encrypted, null, USER_KEY));
+    const original = await JSZip.loadAsync(built);
+    expect(Object.keys(deciphered.files)).toEqual(Object.keys(original.files));
+    for (const path of Object.keys(original.files)) {
+      expect(Buffer.compare(await deciphered.file(path).async('nodebuffer'), await original.file(path).async('nodebuffer'))).toBe(0);
+    }
+  });
+});
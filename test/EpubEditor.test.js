@@ -0,0 +1,95 @@
+import JSZip from 'jszip';
+import {Explorer} from '../index';
+import {chapter, createLicense, epubFiles, FONT, makeFontEpub, makeLcpEpub, OPF, PNG, USER_KEY} from './helpers/fixtures';
+
+async function readOpf(data) {
+  return (await JSZip.loadAsync(data)).file('OEBPS/content.opf').async('string');
+}
+
+describe('EpubEditor', () => {
+  test('edits the title of an LCP epub whose NCX is encrypted', async () => {
+    const {data} = await makeLcpEpub({paths: ['OEBPS/text/c1.xhtml', 'OEBPS/toc.ncx']});
+    const ebook = await Explorer.open(data, {keys: [USER_KEY]});
+    await ebook.setTitle('New Title');
+    const saved = await ebook.save();
+
+    const original = await JSZip.loadAsync(data);
+    const zip = await JSZip.loadAsync(saved);
+    expect(Buffer.compare(await zip.file('OEBPS/toc.ncx').async('nodebuffer'), await original.file('OEBPS/toc.ncx').async('nodebuffer'))).toBe(0);
+
+    const {data: deciphered, failures} = await Explorer.decipherWithReport(saved, null, USER_KEY);
+    expect(failures).toEqual([]);
+    const decipheredZip = await JSZip.loadAsync(deciphered);
+    expect(await decipheredZip.file('OEBPS/toc.ncx').async('string')).toBe(epubFiles()['OEBPS/toc.ncx']);
+    expect(await decipheredZip.file('OEBPS/text/c1.xhtml').async('string')).toBe(chapter(1));
+    expect(await decipheredZip.file('OEBPS/content.opf').async('string')).toContain('<dc:title>New Title</dc:title>');
+  });
+
+  test('leaves the package document untouched when only the license is replaced', async () => {
+    const {data, license} = await makeLcpEpub();
+    const ebook = await Explorer.open(data, {keys: [USER_KEY]});
+    const renewed = createLicense({rights: {end: '2030-01-01T00:00:00Z'}});
+    await ebook.setLicense(renewed);
+    const saved = await ebook.save();
+
+    expect(await readOpf(saved)).toBe(OPF);
+    const savedLicense = JSON.parse(await (await JSZip.loadAsync(saved)).file('META-INF/license.lcpl').async('string'));
+    expect(savedLicense).toEqual(renewed);
+    expect(savedLicense).not.toEqual(license);
+  });
+
+  test('updates the modification date when metadata changes, unless it is set', async () => {
+    const {data} = await makeLcpEpub();
+    const ebook = await Explorer.open(data, {keys: [USER_KEY]});
+    await ebook.setSubjects(['Fiction']);
+    const opf = await readOpf(await ebook.save());
+    expect(opf).toContain('<dc:subject>Fiction</dc:subject>');
+    expect(opf).not.toContain('2020-01-01T00:00:00Z');
+    expect(opf.match(/dcterms:modified/g)).toHaveLength(1);
+
+    await ebook.setModified(new Date('2022-05-06T07:08:09.123Z'));
+    expect(await readOpf(await ebook.save())).toContain('<meta property="dcterms:modified">2022-05-06T07:08:09Z</meta>');
+  });
+
+  test('edits creators, identifiers and series, resources being copied as they are', async () => {
+    const {data} = await makeLcpEpub();
+    const ebook = await Explorer.open(data, {keys: [USER_KEY]});
+    await ebook.setTitle('Nouveau titre & “co”');
+    await ebook.setCreators(['Jane Doe', {name: 'John Doe', role: 'ill', fileAs: 'Doe, John'}]);
+    await ebook.setIdentifiers(['urn:isbn:9780000000000', {value: 'local-1', scheme: 'local'}]);
+    await ebook.setSeries('Saga', 2);
+    const saved = await ebook.save();
+
+    const edited = await Explorer.open(saved, {keys: [USER_KEY]});
+    const metadata = await edited.getMetadata();
+    expect(metadata['dc:title']).toBe('Nouveau titre & “co”');
+    const opf = await readOpf(saved);
+    expect(opf).toContain('<dc:creator id="creator1">Jane Doe</dc:creator>');
+    expect(opf).toContain('<meta refines="#creator2" property="role" scheme="marc:relators">ill</meta>');
+    expect(opf).toContain('<meta refines="#creator2" property="file-as">Doe, John</meta>');
+    expect(opf).toContain('<dc:identifier id="uid">urn:isbn:9780000000000</dc:identifier>');
+    expect(opf).toContain('<meta refines="#identifier2" property="identifier-type">local</meta>');
+    expect(opf).toContain('<meta refines="#series" property="group-position">2</meta>');
+    expect(opf).not.toContain('<dc:creator>Jane Doe</dc:creator>');
+    expect((await edited.getFile('OEBPS/text/c1.xhtml')).data).toBe(chapter(1));
+    expect(await Explorer.validate(saved)).toEqual([]);
+
+    const [original, zip] = await Promise.all([JSZip.loadAsync(data), JSZip.loadAsync(saved)]);
+    for (const path of ['OEBPS/text/c1.xhtml', 'OEBPS/images/cover.png', 'META-INF/encryption.xml']) {
+      expect(Buffer.compare(await zip.file(path).async('nodebuffer'), await original.file(path).async('nodebuffer'))).toBe(0);
+    }
+  });
+
+  test('obfuscates fonts again when the unique identifier changes', async () => {
+    const ebook = await Explorer.open(await makeFontEpub());
+    await ebook.setIdentifiers('urn:uuid:11111111-2222-3333-4444-555555555555');
+    await ebook.setCover('OEBPS/images/new-cover.png', PNG);
+    const saved = await ebook.save();
+
+    const edited = await Explorer.open(saved);
+    expect(Buffer.compare((await edited.getFile('OEBPS/fonts/font.otf', 'nodebuffer')).data, FONT)).toBe(0);
+    expect(await edited.getCoverPath()).toBe('OEBPS/images/new-cover.png');
+    expect(await (await JSZip.loadAsync(saved)).file('OEBPS/toc.ncx').async('string'))
+      .toContain('<meta name="dtb:uid" content="urn:uuid:11111111-2222-3333-4444-555555555555"/>');
+  });
+});
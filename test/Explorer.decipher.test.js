@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import JSZip from 'jszip';
+import {CorruptedDataError, Explorer, WrongKeyError} from '../index';
+import {chapter, makeLcpEpub, PNG, USER_KEY} from './helpers/fixtures';
+
+const LOCAL_FILE_HEADER_NAME_OFFSET = 30;
+
+describe('Explorer.decipher', () => {
+  test('outputs a valid epub without the LCP artifacts', async () => {
+    const {data, license} = await makeLcpEpub();
+    const {data: output, failures} = await Explorer.decipherWithReport(data, license, USER_KEY);
+
+    expect(failures).toEqual([]);
+    expect(Buffer.isBuffer(output)).toBe(true);
+    // mimetype first and stored
+    expect(output.subarray(LOCAL_FILE_HEADER_NAME_OFFSET, LOCAL_FILE_HEADER_NAME_OFFSET + 8).toString()).toBe('mimetype');
+    expect(output.readUInt16LE(8)).toBe(0);
+
+    const zip = await JSZip.loadAsync(output);
+    expect(Object.keys(zip.files)).toEqual([
+      'mimetype',
+      'META-INF/container.xml',
+      'OEBPS/content.opf',
+      'OEBPS/nav.xhtml',
+      'OEBPS/toc.ncx',
+      'OEBPS/text/c1.xhtml',
+      'OEBPS/text/c2.xhtml',
+      'OEBPS/images/cover.png',
+      'OEBPS/style.css'
+    ]);
+    expect(await zip.file('OEBPS/text/c1.xhtml').async('string')).toBe(chapter(1));
+    expect(Buffer.compare(await zip.file('OEBPS/images/cover.png').async('nodebuffer'), PNG)).toBe(0);
+  });
+
+  test('reads the embedded license and supports browser output types', async () => {
+    const {data} = await makeLcpEpub();
+    expect(await Explorer.decipher(data, null, USER_KEY, {type: 'uint8array'})).toBeInstanceOf(Uint8Array);
+    const blob = await Explorer.decipher(data, null, USER_KEY, {type: 'blob'});
+    expect(blob).toBeInstanceOf(Blob);
+    expect((await JSZip.loadAsync(await blob.arrayBuffer())).file('META-INF/license.lcpl')).toBeNull();
+  });
+
+  test('throws when the user key does not open the license', async () => {
+    const {data} = await makeLcpEpub();
+    await expect(Explorer.decipher(data, null, '00'.repeat(32))).rejects.toThrow(WrongKeyError);
+  });
+
+  test('keeps damaged resources encrypted and reports them', async () => {
+    const {data} = await makeLcpEpub();
+    const zip = await JSZip.loadAsync(data);
+    const cover = await zip.file('OEBPS/images/cover.png').async('nodebuffer');
+    zip.file('OEBPS/images/cover.png', cover.subarray(0, cover.length - 5));
+
+    const {data: output, failures} = await Explorer.decipherWithReport(await zip.generateAsync({type: 'nodebuffer'}), null, USER_KEY);
+    expect(failures.map(failure => failure.path)).toEqual(['OEBPS/images/cover.png']);
+    expect(failures[0].error).toBeInstanceOf(CorruptedDataError);
+
+    const outputZip = await JSZip.loadAsync(output);
+    expect(outputZip.file('META-INF/license.lcpl')).not.toBeNull();
+    const encryption = await outputZip.file('META-INF/encryption.xml').async('string');
+    expect(encryption).toContain('OEBPS/images/cover.png');
+    expect(encryption).not.toContain('OEBPS/text/c1.xhtml');
+    expect(await outputZip.file('OEBPS/text/c1.xhtml').async('string')).toBe(chapter(1));
+  });
+
+  test('removes the root license of LCP pdf packages', async () => {
+    const pdf = Buffer.concat([Buffer.from('%PDF-1.4 '), crypto.randomBytes(1000)]);
+    const {data} = await Explorer.encrypt(pdf, USER_KEY);
+    expect((await JSZip.loadAsync(data)).file('license.lcpl')).not.toBeNull();
+
+    const zip = await JSZip.loadAsync(await Explorer.decipher(data, null, USER_KEY));
+    expect(zip.file(/license\.lcpl$/)).toEqual([]);
+    expect(Buffer.compare(await zip.file('publication.pdf').async('nodebuffer'), pdf)).toBe(0);
+  });
+});
@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+import JSZip from 'jszip';
+import {Explorer} from '../index';
+import ZipPdf from '../src/ZipPdf';
+import {chapter, FONT, makeFontEpub, makeLcpEpub, makeZip, PNG, USER_KEY} from './helpers/fixtures';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('Explorer.encrypt', () => {
+  test('encrypts an epub readable with the user key', async () => {
+    const epub = await makeFontEpub();
+    const {data, license} = await Explorer.encrypt(epub, USER_KEY, {
+      provider: 'https://provider.example.com',
+      textHint: 'the usual one',
+      rights: {print: 10, end: new Date('2030-01-01T00:00:00Z')}
+    });
+
+    expect(license.id).toMatch(UUID_REGEX);
+    expect(license.provider).toBe('https://provider.example.com');
+    expect(license.encryption.user_key.text_hint).toBe('the usual one');
+    expect(license.rights).toEqual({print: 10, end: '2030-01-01T00:00:00Z'});
+    expect(await Explorer.validate(data)).toEqual([]);
+
+    const ebook = await Explorer.open(data, {keys: [USER_KEY]});
+    expect((await ebook.getLicense()).id).toBe(license.id);
+    expect((await ebook.getFile('OEBPS/text/c1.xhtml')).data).toBe(chapter(1));
+    expect(Buffer.compare((await ebook.getFile('OEBPS/fonts/font.otf', 'nodebuffer')).data, FONT)).toBe(0);
+
+    const methods = (await ebook.getProtectionReport()).resources.reduce((methods, resource) => {
+      methods[resource.path] = resource.method;
+      return methods;
+    }, {});
+    expect(methods['/OEBPS/text/c1.xhtml']).toBe('http://readium.org/2014/01/lcp#EncryptedContentKey');
+    // obfuscated fonts keep their protection, the package document and the cover are left in clear
+    expect(methods['/OEBPS/fonts/font.otf']).toBe('http://www.idpf.org/2008/embedding');
+    expect(methods['/OEBPS/content.opf']).toBeUndefined();
+    expect(methods['/OEBPS/images/cover.png']).toBeUndefined();
+  });
+
+  test('is reverted by decipher', async () => {
+    const epub = await makeZip();
+    const {data} = await Explorer.encrypt(epub, USER_KEY, {encryptCover: true});
+    const zip = await JSZip.loadAsync(data);
+    expect(Buffer.compare(await zip.file('OEBPS/images/cover.png').async('nodebuffer'), PNG)).not.toBe(0);
+
+    const [original, deciphered] = await Promise.all([JSZip.loadAsync(epub), JSZip.loadAsync(await Explorer.decipher(data, null, USER_KEY))]);
+    const paths = Object.keys(original.files).filter(path => !original.files[path].dir);
+    expect(Object.keys(deciphered.files)).toEqual(paths);
+    for (const path of paths) {
+      expect(Buffer.compare(await deciphered.file(path).async('nodebuffer'), await original.file(path).async('nodebuffer'))).toBe(0);
+    }
+  });
+
+  test('packages pdfs as LCP pdf packages', async () => {
+    const pdf = Buffer.concat([Buffer.from('%PDF-1.4 '), crypto.randomBytes(100000)]);
+    const {data, license} = await Explorer.encrypt(pdf, USER_KEY, {publicationUrl: 'https://example.com/book.lcpdf'});
+
+    expect(license.links).toEqual([expect.objectContaining({rel: 'publication', href: 'https://example.com/book.lcpdf', type: 'application/pdf+lcp'})]);
+    const ebook = await Explorer.open(data, {keys: [USER_KEY]});
+    expect(ebook).toBeInstanceOf(ZipPdf);
+    expect(Buffer.compare((await ebook.getPdf('nodebuffer')).data, pdf)).toBe(0);
+  });
+
+  test('refuses publications already protected with LCP', async () => {
+    const {data} = await makeLcpEpub();
+    await expect(Explorer.encrypt(data, USER_KEY)).rejects.toThrow('already protected with LCP');
+    await expect(Explorer.encrypt(await makeZip({'readme.txt': 'hello'}), USER_KEY)).rejects.toThrow('only epubs and pdfs');
+  });
+});
@@ -0,0 +1,72 @@
+import JSZip from 'jszip';
+import {BufferReader, Explorer, UnsupportedFormatError} from '../index';
+import ZipEpub from '../src/ZipEpub';
+import ZipPdf from '../src/ZipPdf';
+import WebEpub from '../src/WebEpub';
+import {makeZip} from './helpers/fixtures';
+
+const ASCM = '<fulfillmentToken fulfillmentType="buy" xmlns="http://ns.adobe.com/adept"><operatorURL>https://acs.example.com/fulfillment</operatorURL></fulfillmentToken>';
+
+async function expectUnsupported(input, format) {
+  const error = await Explorer.open(input).catch(e => e);
+  expect(error).toBeInstanceOf(UnsupportedFormatError);
+  expect(error.format).toBe(format);
+}
+
+describe('Explorer.open', () => {
+  test('opens an epub from every binary input type', async () => {
+    const data = await makeZip();
+    const inputs = [
+      data,
+      new Uint8Array(data),
+      data.buffer.slice(data.byteOffset, data.byteOffset + data.length),
+      data.toString('base64'),
+      new BufferReader(new Uint8Array(data))
+    ];
+
+    for (const input of inputs) {
+      const ebook = await Explorer.open(input);
+      expect(ebook).toBeInstanceOf(ZipEpub);
+      expect((await ebook.getMetadata())['dc:title']).toBe('Test Book');
+    }
+  });
+
+  test('detects a zip holding a pdf', async () => {
+    expect(await Explorer.open(await makeZip({'book.pdf': '%PDF-1.4'}))).toBeInstanceOf(ZipPdf);
+  });
+
+  test('opens web publications from their url', async () => {
+    expect(await Explorer.open('https://example.com/book/')).toBeInstanceOf(WebEpub);
+  });
+
+  test('detects ASCM tokens', async () => {
+    await expectUnsupported(Buffer.from(ASCM), 'ascm');
+    await expectUnsupported(Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>\n${ASCM}`), 'ascm');
+    await expectUnsupported(Buffer.from(`\uFEFF  \n<!-- token -->\n${ASCM}`), 'ascm');
+    await expectUnsupported(Buffer.from(`<?xml version="1.0"?><adept:fulfillmentToken xmlns:adept="http://ns.adobe.com/adept"/>`), 'ascm');
+    expect(Explorer.isAscmFile(Buffer.from(`<?xml version="1.0"?>${ASCM}`))).toBe(true);
+    expect(Explorer.isAscmFile(Buffer.from('<?xml version="1.0"?><fulfillmentTokens/>'))).toBe(false);
+  });
+
+  test('rejects unknown content', async () => {
+    await expectUnsupported(Buffer.from('not a publication'), 'unknown');
+
+    const zip = new JSZip();
+    zip.file('readme.txt', 'hello');
+    await expectUnsupported(await zip.generateAsync({type: 'uint8array'}), 'unknown');
+  });
+
+  test('rejects corrupt and truncated zip archives', async () => {
+    const data = await makeZip();
+    for (const input of [data.subarray(0, data.length / 2), Buffer.concat([data.subarray(0, 4), Buffer.alloc(100)])]) {
+      const error = await Explorer.open(input).catch(e => e);
+      expect(error).toBeInstanceOf(UnsupportedFormatError);
+      expect(error.format).toBe('unknown');
+      expect(error.cause).toBeInstanceOf(Error);
+    }
+  });
+
+  test('rejects packaged web publications', async () => {
+    await expectUnsupported(await makeZip({'manifest.json': '{}'}), 'webpub');
+  });
+});
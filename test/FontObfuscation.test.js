@@ -0,0 +1,60 @@
+import JSZip from 'jszip';
+import {Explorer, PROTECTION_METHODS} from '../index';
+import {adobeObfuscate, epubFiles, FONT, fontEncryptedData, makeFontEpub, makeZip, UID} from './helpers/fixtures';
+
+const IDPF_FONT = 'http://www.idpf.org/2008/embedding';
+const ADOBE_FONT = 'http://ns.adobe.com/pdf/enc#RC';
+const FONT_PATH = 'OEBPS/fonts/font.otf';
+
+async function readFont(data) {
+  return (await JSZip.loadAsync(data)).file(FONT_PATH).async('nodebuffer');
+}
+
+describe('IDPF font obfuscation', () => {
+  test('getFile returns the deobfuscated font', async () => {
+    const ebook = await Explorer.open(await makeFontEpub(IDPF_FONT));
+    const font = await ebook.getFile(FONT_PATH, 'nodebuffer');
+    expect(Buffer.compare(font.data, FONT)).toBe(0);
+  });
+
+  test('decipher keeps fonts obfuscated unless asked to deobfuscate them', async () => {
+    const data = await makeFontEpub(IDPF_FONT);
+
+    const kept = await Explorer.decipher(data, null, null);
+    expect(Buffer.compare(await readFont(kept), FONT)).not.toBe(0);
+    expect((await JSZip.loadAsync(kept)).file('META-INF/encryption.xml')).not.toBeNull();
+
+    const deobfuscated = await Explorer.decipher(data, null, null, {deobfuscateFonts: true});
+    expect(Buffer.compare(await readFont(deobfuscated), FONT)).toBe(0);
+    // encryption.xml is dropped along with its last entry
+    expect((await JSZip.loadAsync(deobfuscated)).file('META-INF/encryption.xml')).toBeNull();
+  });
+});
+
+describe('Adobe font obfuscation', () => {
+  test('getFile and decipher deobfuscate fonts with the urn:uuid key', async () => {
+    const data = await makeFontEpub(ADOBE_FONT, adobeObfuscate);
+
+    const ebook = await Explorer.open(data);
+    expect(Buffer.compare((await ebook.getFile(FONT_PATH, 'nodebuffer')).data, FONT)).toBe(0);
+    expect(Buffer.compare(await readFont(await Explorer.decipher(data, null, null, {deobfuscateFonts: true})), FONT)).toBe(0);
+  });
+
+  test('is reported as Adobe font obfuscation', async () => {
+    const data = await makeFontEpub(ADOBE_FONT, adobeObfuscate);
+    expect(await Explorer.protections(data)).toEqual([PROTECTION_METHODS.ADOBE_FONT]);
+
+    const {resources} = await (await Explorer.open(data)).getProtectionReport();
+    expect(resources).toEqual([expect.objectContaining({path: `/${FONT_PATH}`, method: PROTECTION_METHODS.ADOBE_FONT, hasValidKey: true})]);
+  });
+
+  test('needs a urn:uuid identifier', async () => {
+    const files = epubFiles();
+    files['OEBPS/content.opf'] = files['OEBPS/content.opf'].replace(UID, 'isbn:9780000000000');
+    files[FONT_PATH] = adobeObfuscate(FONT);
+    files['META-INF/encryption.xml'] = `<?xml version="1.0"?><encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container">${fontEncryptedData(ADOBE_FONT, FONT_PATH)}</encryption>`;
+    const ebook = await Explorer.open(await makeZip(files));
+
+    expect((await ebook.getProtectionReport()).resources[0].hasValidKey).toBe(false);
+  });
+});
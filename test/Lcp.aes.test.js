@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import pako from 'pako';
+import {AES_BACKENDS, CorruptedDataError, Explorer, InflateError, Lcp, LengthMismatchError} from '../index';
+import {aesEncrypt, chapter, CONTENT_KEY, createLicense, makeLcpEpub, PNG, readStream, USER_KEY} from './helpers/fixtures';
+
+const DEFLATE = 8;
+
+describe.each(Object.values(AES_BACKENDS))('Lcp with the %s AES backend', backend => {
+  const license = createLicense();
+  // larger than a decryption chunk, and not a multiple of the block size
+  const large = crypto.randomBytes(1024 * 150 + 5);
+
+  beforeAll(() => {
+    Lcp.setAesBackend(backend);
+  });
+
+  afterAll(() => {
+    Lcp.setAesBackend(null);
+  });
+
+  test.each([0, 1, 15, 16, 17, large.length])('deciphers %i bytes', async length => {
+    const data = large.subarray(0, length);
+    const deciphered = await Lcp.decipherBinaryFile(aesEncrypt(CONTENT_KEY, data), {}, license, USER_KEY);
+    expect(Buffer.compare(Buffer.from(deciphered), data)).toBe(0);
+  });
+
+  test('deciphers and inflates deflated resources', async () => {
+    const text = chapter(1).repeat(500);
+    const encrypted = aesEncrypt(CONTENT_KEY, pako.deflateRaw(Buffer.from(text)));
+    const protection = {compressionMethod: DEFLATE, originalLength: text.length};
+
+    expect(await Lcp.decipherTextFile(encrypted, protection, license, USER_KEY)).toBe(text);
+  });
+
+  test('streams deciphered resources by chunks', async () => {
+    const encrypted = aesEncrypt(CONTENT_KEY, large);
+    const {value} = await (await Lcp.decipherStream(encrypted, {}, license, USER_KEY)).getReader().read();
+    expect(value.length).toBeLessThan(large.length);
+    expect(Buffer.compare(await readStream(await Lcp.decipherStream(encrypted, {}, license, USER_KEY)), large)).toBe(0);
+
+    const deflated = aesEncrypt(CONTENT_KEY, pako.deflateRaw(large));
+    const inflated = await readStream(await Lcp.decipherStream(deflated, {compressionMethod: DEFLATE, originalLength: large.length}, license, USER_KEY));
+    expect(Buffer.compare(inflated, large)).toBe(0);
+  });
+
+  test('streams the resources of an epub', async () => {
+    const ebook = await Explorer.open((await makeLcpEpub()).data, {keys: [USER_KEY]});
+
+    const chapterFile = await ebook.getFileStream('OEBPS/text/c1.xhtml');
+    expect((await readStream(chapterFile.stream)).toString()).toBe(chapter(1));
+    const cover = await ebook.getFileStream('OEBPS/images/cover.png');
+    expect(cover.contentType).toBe('image/png');
+    expect(Buffer.compare(await readStream(cover.stream), PNG)).toBe(0);
+  });
+
+  test('errors streams of damaged resources', async () => {
+    const encrypted = aesEncrypt(CONTENT_KEY, large);
+    // flipping the previous block flips the deciphered padding, which can then no longer be valid
+    encrypted[encrypted.length - 17] ^= 0xff;
+    await expect(readStream(await Lcp.decipherStream(encrypted, {}, license, USER_KEY))).rejects.toThrow(CorruptedDataError);
+
+    const deflated = aesEncrypt(CONTENT_KEY, pako.deflateRaw(large));
+    await expect(readStream(await Lcp.decipherStream(deflated, {compressionMethod: DEFLATE, originalLength: 12}, license, USER_KEY)))
+      .rejects.toThrow(LengthMismatchError);
+    await expect(readStream(await Lcp.decipherStream(aesEncrypt(CONTENT_KEY, large), {compressionMethod: DEFLATE}, license, USER_KEY)))
+      .rejects.toThrow(InflateError);
+  });
+});
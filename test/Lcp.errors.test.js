@@ -0,0 +1,73 @@
+import JSZip from 'jszip';
+import pako from 'pako';
+import {
+  CorruptedDataError,
+  DecipherError,
+  Explorer,
+  InflateError,
+  Lcp,
+  LengthMismatchError,
+  WrongKeyError
+} from '../index';
+import {aesEncrypt, chapter, CONTENT_KEY, createLicense, epubFiles, makeLcpEpub, USER_KEY} from './helpers/fixtures';
+
+const DEFLATE = 8;
+const TEXT = chapter(1);
+
+describe('LCP decipher errors', () => {
+  const license = createLicense();
+  const deflated = () => aesEncrypt(CONTENT_KEY, pako.deflateRaw(Buffer.from(TEXT)));
+
+  test('tells a wrong key from damaged content', async () => {
+    const error = await Lcp.decipherTextFile(deflated(), {}, license, 'ff'.repeat(32)).catch(caught => caught);
+    expect(error).toBeInstanceOf(WrongKeyError);
+    expect(error).toBeInstanceOf(DecipherError);
+    expect(error.message).toContain('license-1');
+  });
+
+  test('checks the encrypted length and the padding', async () => {
+    const data = aesEncrypt(CONTENT_KEY, Buffer.from(TEXT));
+    await expect(Lcp.decipherTextFile(data.subarray(0, data.length - 5), {}, license, USER_KEY)).rejects.toThrow(CorruptedDataError);
+    await expect(Lcp.decipherTextFile(data.subarray(0, 16), {}, license, USER_KEY)).rejects.toThrow(CorruptedDataError);
+
+    // flipping the previous block flips the deciphered padding
+    const damaged = Buffer.from(data);
+    damaged[damaged.length - 17] ^= 0xff;
+    await expect(Lcp.decipherTextFile(damaged, {}, license, USER_KEY)).rejects.toThrow(CorruptedDataError);
+  });
+
+  test('reports a content key which can not be deciphered as corrupted', async () => {
+    const damagedLicense = createLicense({id: 'damaged-license'});
+    damagedLicense.encryption.content_key.encrypted_value = Buffer.alloc(64).toString('base64');
+    const error = await Lcp.decipherTextFile(deflated(), {}, damagedLicense, USER_KEY).catch(caught => caught);
+    expect(error).toBeInstanceOf(CorruptedDataError);
+    expect(error.message).toContain('the content key of license damaged-license can not be deciphered');
+  });
+
+  test('checks the inflated data against encryption.xml', async () => {
+    expect(await Lcp.decipherTextFile(deflated(), {compressionMethod: DEFLATE, originalLength: TEXT.length}, license, USER_KEY)).toBe(TEXT);
+
+    const notDeflated = aesEncrypt(CONTENT_KEY, Buffer.from(TEXT));
+    await expect(Lcp.decipherTextFile(notDeflated, {compressionMethod: DEFLATE}, license, USER_KEY)).rejects.toThrow(InflateError);
+
+    const error = await Lcp.decipherTextFile(deflated(), {compressionMethod: DEFLATE, originalLength: 10}, license, USER_KEY).catch(caught => caught);
+    expect(error).toBeInstanceOf(LengthMismatchError);
+    expect(error).toMatchObject({expectedLength: 10, actualLength: TEXT.length});
+  });
+
+  test('does not hide damaged epub resources', async () => {
+    const files = epubFiles();
+    files['OEBPS/text/c1.xhtml'] = `${TEXT}\n<!-- after the root element -->\n`;
+    const {data} = await makeLcpEpub({files});
+    const zip = await JSZip.loadAsync(data);
+    const encrypted = await zip.file('OEBPS/text/c1.xhtml').async('nodebuffer');
+
+    // text after the last ">" is no longer trimmed
+    const ebook = await Explorer.open(data, {keys: [USER_KEY]});
+    expect((await ebook.getFile('OEBPS/text/c1.xhtml')).data).toBe(files['OEBPS/text/c1.xhtml']);
+
+    zip.file('OEBPS/text/c1.xhtml', encrypted.subarray(0, encrypted.length - 16));
+    const damaged = await Explorer.open(await zip.generateAsync({type: 'nodebuffer'}), {keys: [USER_KEY]});
+    await expect(damaged.getFile('OEBPS/text/c1.xhtml')).rejects.toThrow(DecipherError);
+  });
+});
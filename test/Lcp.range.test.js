@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import {AES_BACKENDS, Explorer, Lcp} from '../index';
+import {aesEncrypt, chapter, CONTENT_KEY, createLicense, makeLcpEpub, makeZip, PNG, USER_KEY} from './helpers/fixtures';
+
+const AUDIOBOOK_MANIFEST = {
+  '@context': 'https://readium.org/webpub-manifest/context.jsonld',
+  metadata: {'@type': 'http://schema.org/Audiobook', title: 'Test Audiobook'},
+  readingOrder: [{
+    href: 'track.mp3',
+    type: 'audio/mpeg',
+    properties: {
+      encrypted: {
+        scheme: 'http://readium.org/2014/01/lcp',
+        profile: 'http://readium.org/lcp/basic-profile',
+        algorithm: 'http://www.w3.org/2001/04/xmlenc#aes256-cbc'
+      }
+    }
+  }]
+};
+
+/**
+ * Byte-range reader of a buffer, counting the bytes read
+ */
+function createCountingReader(data) {
+  const reader = {
+    bytesRead: 0,
+    size: async () => data.length,
+    read: async (start, length) => {
+      reader.bytesRead += length;
+      return new Uint8Array(data.subarray(start, start + length));
+    }
+  };
+  return reader;
+}
+
+describe.each(Object.values(AES_BACKENDS))('LCP ranges with the %s AES backend', backend => {
+  const license = createLicense();
+  const media = crypto.randomBytes(100000 + 7);
+  const encrypted = aesEncrypt(CONTENT_KEY, media);
+
+  beforeAll(() => {
+    Lcp.setAesBackend(backend);
+  });
+
+  afterAll(() => {
+    Lcp.setAesBackend(null);
+  });
+
+  test.each([
+    [0, 1],
+    [0, 16],
+    [5, 37],
+    [16, 32],
+    [50000, 50017],
+    [99990, null],
+    [0, null]
+  ])('deciphers the range %i-%s', async (start, end) => {
+    const {data, length} = await Lcp.decipherRange(encrypted, start, end, license, USER_KEY);
+    expect(length).toBe(media.length);
+    expect(Buffer.compare(Buffer.from(data), media.subarray(start, end === null ? media.length : end))).toBe(0);
+  });
+
+  test('clamps ranges to the plaintext length', async () => {
+    expect((await Lcp.decipherRange(encrypted, 100000, 200000, license, USER_KEY)).data).toHaveLength(7);
+    expect((await Lcp.decipherRange(encrypted, -10, 3, license, USER_KEY)).data).toHaveLength(3);
+    expect(await Lcp.decipherRange(encrypted, 200000, null, license, USER_KEY)).toEqual({data: new Uint8Array(0), length: media.length});
+  });
+
+  test('reads only the blocks of the range', async () => {
+    const reader = createCountingReader(encrypted);
+    const {data} = await Lcp.decipherRange(reader, 50000, 50100, license, USER_KEY);
+
+    expect(Buffer.compare(Buffer.from(data), media.subarray(50000, 50100))).toBe(0);
+    // the last two blocks for the padding, and the blocks of the range with the one preceding them
+    expect(reader.bytesRead).toBe(2 * 16 + 8 * 16);
+  });
+
+  test('gets ranges of epub resources', async () => {
+    const ebook = await Explorer.open((await makeLcpEpub()).data, {keys: [USER_KEY]});
+
+    const cover = await ebook.getFileRange('OEBPS/images/cover.png', 8, 20);
+    expect(cover.length).toBe(PNG.length);
+    expect(cover.contentType).toBe('image/png');
+    expect(Buffer.compare(Buffer.from(cover.data), PNG.subarray(8, 20))).toBe(0);
+
+    // deflated resources are deciphered whole, then sliced
+    const text = await ebook.getFileRange('OEBPS/text/c1.xhtml', 10);
+    expect(Buffer.from(text.data).toString()).toBe(chapter(1).substr(10));
+    expect(text.length).toBe(Buffer.byteLength(chapter(1)));
+    expect(Buffer.from((await ebook.getFileRange('OEBPS/style.css', 0, 4)).data).toString()).toBe('body');
+    expect(await ebook.getFileRange('OEBPS/missing.css', 0, 4)).toBeUndefined();
+  });
+
+  test('gets ranges of audiobook tracks', async () => {
+    const audiobook = await Explorer.open(await makeZip({
+      'manifest.json': JSON.stringify(AUDIOBOOK_MANIFEST),
+      'license.lcpl': JSON.stringify(license),
+      'track.mp3': encrypted
+    }, {compression: 'STORE'}), {keys: [USER_KEY]});
+
+    const track = await audiobook.getFileRange('track.mp3', 1000, 3000);
+    expect(track.length).toBe(media.length);
+    expect(track.contentType).toBe('audio/mpeg');
+    expect(Buffer.compare(Buffer.from(track.data), media.subarray(1000, 3000))).toBe(0);
+  });
+});
@@ -0,0 +1,71 @@
+import {Lcp, LCP_PROFILES, UnsupportedProfileError, WrongKeyError} from '../index';
+import {aesEncrypt, CONTENT_KEY, createLicense, PASSPHRASE, USER_KEY} from './helpers/fixtures';
+
+const PROFILE_1 = 'http://readium.org/lcp/profile-1.0';
+
+function createProfileLicense(profile) {
+  // its own id, deciphering contexts being cached by license id
+  const license = createLicense({id: 'profile-license'});
+  license.encryption.profile = profile;
+  return license;
+}
+
+describe('Lcp user keys', () => {
+  let warn;
+
+  beforeEach(() => {
+    // wrong candidates are logged while testing them
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  test('hashes passphrases with the algorithm of the license', () => {
+    const license = createLicense();
+    expect(Lcp.getProfile(license)).toBe(LCP_PROFILES.BASIC);
+    expect(Lcp.hashPassphrase(PASSPHRASE, license)).toBe(USER_KEY);
+
+    delete license.encryption.profile;
+    expect(Lcp.getProfile(license)).toBe(LCP_PROFILES.BASIC);
+  });
+
+  test('finds the user key among passphrases and stored keys', async () => {
+    const license = createLicense();
+    expect(await Lcp.findUserKey(license, {passphrases: ['wrong', PASSPHRASE]})).toEqual({
+      profile: LCP_PROFILES.BASIC,
+      userKey: USER_KEY,
+      passphrase: PASSPHRASE
+    });
+    expect(await Lcp.findUserKey(license, {passphrases: ['wrong'], keys: [USER_KEY]})).toEqual({
+      profile: LCP_PROFILES.BASIC,
+      userKey: USER_KEY,
+      passphrase: null
+    });
+    expect(await Lcp.findUserKey(license, {passphrases: ['wrong']})).toEqual({
+      profile: LCP_PROFILES.BASIC,
+      userKey: null,
+      passphrase: null
+    });
+  });
+
+  test('rejects unsupported profiles and user key algorithms', async () => {
+    const license = createProfileLicense(PROFILE_1);
+    await expect(Lcp.findUserKey(license, {keys: [USER_KEY]})).rejects.toThrow(UnsupportedProfileError);
+    await expect(Lcp.findUserKey(license, {keys: [USER_KEY]})).rejects.toMatchObject({profile: PROFILE_1, algorithm: null});
+
+    const algorithm = 'http://www.w3.org/2001/04/xmlenc#sha512';
+    const sha512License = createLicense();
+    sha512License.encryption.user_key.algorithm = algorithm;
+    expect(() => Lcp.hashPassphrase(PASSPHRASE, sha512License)).toThrow(UnsupportedProfileError);
+    expect(() => Lcp.hashPassphrase(PASSPHRASE, sha512License)).toThrow(algorithm);
+  });
+
+  test('reports an unsupported profile rather than a wrong key when deciphering', async () => {
+    const data = aesEncrypt(CONTENT_KEY, Buffer.from('content'));
+    await expect(Lcp.decipherTextFile(data, {}, createProfileLicense(PROFILE_1), USER_KEY)).rejects.toThrow(UnsupportedProfileError);
+    await expect(Lcp.decipherTextFile(data, {}, createLicense(), '00'.repeat(32))).rejects.toThrow(WrongKeyError);
+    expect(await Lcp.decipherTextFile(data, {}, createLicense(), USER_KEY)).toBe('content');
+  });
+});
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import forge from 'node-forge';
+import {Lcp} from '../index';
+import {canonicalizeLicense} from '../src/LicenseVerifier';
+import {createLicense} from './helpers/fixtures';
+
+const NOW = new Date('2024-01-01T00:00:00Z');
+
+function createKeyPair() {
+  const {privateKey} = crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+  const pem = privateKey.export({type: 'pkcs1', format: 'pem'});
+  const forgeKey = forge.pki.privateKeyFromPem(pem);
+  return {pem, privateKey: forgeKey, publicKey: forge.pki.setRsaPublicKey(forgeKey.n, forgeKey.e)};
+}
+
+function createCertificate(subject, issuer, publicKey, signingKey, notBefore, notAfter) {
+  const certificate = forge.pki.createCertificate();
+  certificate.publicKey = publicKey;
+  certificate.serialNumber = `01${crypto.randomBytes(4).toString('hex')}`;
+  certificate.validity.notBefore = notBefore;
+  certificate.validity.notAfter = notAfter;
+  certificate.setSubject([{name: 'commonName', value: subject}]);
+  certificate.setIssuer([{name: 'commonName', value: issuer}]);
+  certificate.sign(signingKey, forge.md.sha256.create());
+  return certificate;
+}
+
+function sign(license, keyPair, certificate) {
+  return Object.assign(license, {
+    signature: {
+      algorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+      certificate: forge.util.encode64(forge.asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes()),
+      value: crypto.sign('sha256', Buffer.from(canonicalizeLicense(license)), keyPair.pem).toString('base64')
+    }
+  });
+}
+
+function errorCodes(result) {
+  return result.errors.map(error => error.code);
+}
+
+describe('LicenseVerifier', () => {
+  let root;
+  let provider;
+  let rootPem;
+  let providerCertificate;
+
+  beforeAll(() => {
+    root = createKeyPair();
+    provider = createKeyPair();
+    const rootCertificate = createCertificate('root', 'root', root.publicKey, root.privateKey, new Date('2010-01-01'), new Date('2040-01-01'));
+    rootPem = forge.pki.certificateToPem(rootCertificate);
+    providerCertificate = createCertificate('provider', 'root', provider.publicKey, root.privateKey, new Date('2015-01-01'), new Date('2025-01-01'));
+  });
+
+  function createSignedLicense(fields = {}) {
+    return sign(createLicense(Object.assign({rights: {start: '2020-01-01T00:00:00Z', end: '2030-01-01T00:00:00Z', print: 10}}, fields)), provider, providerCertificate);
+  }
+
+  test('accepts a license signed by a trusted provider', async () => {
+    const result = await Lcp.verifyLicense(createSignedLicense(), {rootCertificate: rootPem, now: NOW});
+    expect(result).toEqual(expect.objectContaining({
+      valid: true,
+      signatureValid: true,
+      certificateTrusted: true,
+      certificateValid: true,
+      rightsValid: true,
+      start: new Date('2020-01-01T00:00:00Z'),
+      end: new Date('2030-01-01T00:00:00Z'),
+      errors: []
+    }));
+  });
+
+  test('rejects expired and not yet started licenses', async () => {
+    const license = createSignedLicense();
+    let result = await Lcp.verifyLicense(license, {rootCertificate: rootPem, now: new Date('2031-01-01T00:00:00Z')});
+    expect(result.valid).toBe(false);
+    expect(result.signatureValid).toBe(true);
+    expect(errorCodes(result)).toEqual(['LICENSE_EXPIRED']);
+
+    result = await Lcp.verifyLicense(license, {rootCertificate: rootPem, now: new Date('2019-01-01T00:00:00Z')});
+    expect(errorCodes(result)).toEqual(['LICENSE_NOT_STARTED']);
+  });
+
+  test('rejects tampered licenses', async () => {
+    const license = createSignedLicense();
+    license.rights = Object.assign({}, license.rights, {print: 1000});
+    const result = await Lcp.verifyLicense(license, {rootCertificate: rootPem, now: NOW});
+    expect(result.valid).toBe(false);
+    expect(result.signatureValid).toBe(false);
+    expect(result.certificateTrusted).toBe(true);
+    expect(errorCodes(result)).toEqual(['SIGNATURE_INVALID']);
+  });
+
+  test('checks the certificate chain and dates', async () => {
+    const other = createKeyPair();
+    const selfSigned = createCertificate('other', 'other', other.publicKey, other.privateKey, new Date('2015-01-01'), new Date('2025-01-01'));
+    const untrusted = sign(createLicense(), other, selfSigned);
+    const result = await Lcp.verifyLicense(untrusted, {rootCertificate: rootPem, now: NOW});
+    expect(result.valid).toBe(false);
+    expect(result.signatureValid).toBe(true);
+    expect(result.certificateTrusted).toBe(false);
+    expect(errorCodes(result)).toEqual(['CERTIFICATE_UNTRUSTED']);
+
+    const updatedLater = createSignedLicense({updated: '2026-01-01T00:00:00Z'});
+    expect(errorCodes(await Lcp.verifyLicense(updatedLater, {rootCertificate: rootPem, now: NOW}))).toEqual(['CERTIFICATE_EXPIRED']);
+  });
+
+  test('never validates a license without a root certificate to trust its provider', async () => {
+    const other = createKeyPair();
+    const selfSigned = createCertificate('other', 'other', other.publicKey, other.privateKey, new Date('2015-01-01'), new Date('2025-01-01'));
+
+    for (const license of [createSignedLicense(), sign(createLicense(), other, selfSigned)]) {
+      const result = await Lcp.verifyLicense(license, {now: NOW});
+      expect(result).toEqual(expect.objectContaining({valid: false, signatureValid: true, certificateTrusted: null, certificateValid: true}));
+      expect(errorCodes(result)).toEqual(['CERTIFICATE_UNCHECKED']);
+    }
+  });
+
+  test('reports unsigned licenses', async () => {
+    const result = await Lcp.verifyLicense(createLicense(), {now: NOW});
+    expect(result.valid).toBe(false);
+    expect(errorCodes(result)).toEqual(['SIGNATURE_MISSING']);
+  });
+});
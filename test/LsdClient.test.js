@@ -0,0 +1,174 @@
+import http from 'http';
+import JSZip from 'jszip';
+import {Explorer, LsdClient, LsdError} from '../index';
+import {chapter, createLicense, makeLcpEpub, USER_KEY} from './helpers/fixtures';
+
+/**
+ * Stand-in License Status Document server, keeping the status of a single loan
+ */
+function startLsdServer() {
+  const requests = [];
+  const state = {
+    status: 'ready',
+    licenseUpdated: '2020-01-01T00:00:00Z',
+    events: [],
+    license: null
+  };
+
+  const statusDocument = url => ({
+    id: 'license-1',
+    status: state.status,
+    message: `the license is ${state.status}`,
+    updated: {license: state.licenseUpdated, status: '2024-01-01T00:00:00Z'},
+    links: [
+      {rel: 'license', href: `${url}/licenses/1`, type: 'application/vnd.readium.lcp.license.v1.0+json'},
+      {rel: 'register', href: `${url}/licenses/1/register{?id,name}`, templated: true},
+      {rel: 'renew', href: `${url}/licenses/1/renew{?end,id,name}`, templated: true},
+      {rel: 'return', href: `${url}/licenses/1/return{?id,name}`, templated: true}
+    ],
+    events: state.events,
+    potential_rights: {end: '2025-01-01T00:00:00Z'}
+  });
+
+  const server = http.createServer((request, response) => {
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const {pathname, searchParams} = new URL(request.url, url);
+    requests.push(`${request.method} ${request.url}`);
+
+    const send = (status, body) => {
+      response.writeHead(status, {'Content-Type': 'application/json'});
+      response.end(JSON.stringify(body));
+    };
+    const interact = (method, type, allowedStatus, nextStatus) => {
+      if (request.method !== method) {
+        send(405, {title: 'Method not allowed'});
+        return;
+      }
+      if (!allowedStatus.includes(state.status)) {
+        send(400, {type: `http://readium.org/lcp/${type}`, title: `${type} failed`, detail: `the license is ${state.status}`});
+        return;
+      }
+      state.status = nextStatus;
+      state.events.push({type, id: searchParams.get('id'), name: searchParams.get('name'), timestamp: '2024-01-02T00:00:00Z'});
+      send(200, statusDocument(url));
+    };
+
+    if (pathname === '/status/1') {
+      send(200, statusDocument(url));
+    } else if (pathname === '/licenses/1') {
+      send(200, state.license);
+    } else if (pathname === '/licenses/1/register') {
+      interact('POST', 'register', ['ready', 'active'], 'active');
+    } else if (pathname === '/licenses/1/renew') {
+      if (searchParams.get('end') > '2025-01-01') {
+        send(403, {title: 'Renew failed', detail: 'the end date is beyond the potential rights'});
+        return;
+      }
+      interact('PUT', 'renew', ['active'], 'active');
+    } else if (pathname === '/licenses/1/return') {
+      interact('PUT', 'return', ['active'], 'returned');
+    } else {
+      send(404, {title: 'Not found'});
+    }
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    state,
+    close: () => new Promise(closed => server.close(closed))
+  })));
+}
+
+describe('LsdClient', () => {
+  let server;
+  let license;
+
+  beforeEach(async () => {
+    server = await startLsdServer();
+    license = createLicense({links: [{rel: 'status', href: `${server.url}/status/1`, type: 'application/vnd.readium.license.status.v1.0+json'}]});
+    server.state.license = Object.assign(createLicense(), {updated: '2024-01-02T00:00:00Z', rights: {end: '2024-12-01T00:00:00Z'}});
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('reads the status of a license', async () => {
+    const client = new LsdClient(license);
+    const status = await client.getStatus();
+
+    expect(status).toEqual({
+      status: 'ready',
+      message: 'the license is ready',
+      updated: {license: new Date('2020-01-01T00:00:00Z'), status: new Date('2024-01-01T00:00:00Z')},
+      events: [],
+      potentialRights: {end: new Date('2025-01-01T00:00:00Z')}
+    });
+    // the status document is fetched once
+    await client.getStatus();
+    expect(server.requests).toEqual(['GET /status/1']);
+  });
+
+  test('registers the device, renews and returns the loan', async () => {
+    const client = new LsdClient(license, {deviceId: 'device-1', deviceName: 'My Reader'});
+
+    expect((await client.register()).status).toBe('active');
+    expect((await client.renew(new Date('2024-12-01T00:00:00Z'))).status).toBe('active');
+    expect((await client.return()).status).toBe('returned');
+
+    expect(server.requests).toEqual([
+      'GET /status/1',
+      'POST /licenses/1/register?id=device-1&name=My%20Reader',
+      'PUT /licenses/1/renew?end=2024-12-01T00%3A00%3A00.000Z&id=device-1&name=My%20Reader',
+      'PUT /licenses/1/return?id=device-1&name=My%20Reader'
+    ]);
+    const {events} = await client.getStatus();
+    expect(events.map(event => [event.type, event.id, event.timestamp])).toEqual([
+      ['register', 'device-1', new Date('2024-01-02T00:00:00Z')],
+      ['renew', 'device-1', new Date('2024-01-02T00:00:00Z')],
+      ['return', 'device-1', new Date('2024-01-02T00:00:00Z')]
+    ]);
+  });
+
+  test('reports server problems', async () => {
+    const client = new LsdClient(license, {deviceId: 'device-1'});
+
+    await expect(client.return()).rejects.toThrow(LsdError);
+    await expect(client.return()).rejects.toMatchObject({
+      status: 400,
+      message: expect.stringContaining('the license is ready'),
+      problem: expect.objectContaining({title: 'return failed'})
+    });
+
+    await client.register();
+    await expect(client.renew(new Date('2026-01-01T00:00:00Z'))).rejects.toMatchObject({status: 403});
+
+    await expect(new LsdClient(createLicense()).getStatus()).rejects.toThrow('license has no status link');
+  });
+
+  test('refreshes the license of a publication when the server has a fresher one', async () => {
+    const {data} = await makeLcpEpub();
+    const ebook = await Explorer.open(data, {keys: [USER_KEY]});
+    const client = new LsdClient(license);
+
+    expect(await client.updatePublication(ebook)).toBeNull();
+
+    server.state.licenseUpdated = '2024-01-02T00:00:00Z';
+    const refreshed = await new LsdClient(license).updatePublication(ebook);
+    expect(refreshed.rights.end).toBe('2024-12-01T00:00:00Z');
+
+    const saved = await ebook.save();
+    const zip = await JSZip.loadAsync(saved);
+    expect(JSON.parse(await zip.file('META-INF/license.lcpl').async('string')).updated).toBe('2024-01-02T00:00:00Z');
+    const reopened = await Explorer.open(saved, {keys: [USER_KEY]});
+    expect((await reopened.getFile('OEBPS/text/c1.xhtml')).data).toBe(chapter(1));
+  });
+
+  test('rejects a downloaded license of another loan', async () => {
+    server.state.licenseUpdated = '2024-01-02T00:00:00Z';
+    server.state.license = createLicense({id: 'license-2'});
+
+    await expect(new LsdClient(license).refreshLicense()).rejects.toThrow('does not match license license-1');
+  });
+});
@@ -0,0 +1,61 @@
+import {Explorer, PROTECTION_METHODS} from '../index';
+import {epubFiles, FONT, fontEncryptedData, idpfObfuscate, makeLcpEpub, makeZip, USER_KEY} from './helpers/fixtures';
+
+describe('getProtectionReport', () => {
+  test('lists each LCP resource with its encryption details', async () => {
+    const {data} = await makeLcpEpub();
+    const ebook = await Explorer.open(data, {keys: [USER_KEY]});
+
+    const report = await ebook.getProtectionReport();
+    expect(report.methods).toEqual([PROTECTION_METHODS.LCP]);
+    expect(report.resources).toEqual([
+      expect.objectContaining({
+        path: '/OEBPS/text/c1.xhtml',
+        method: PROTECTION_METHODS.LCP,
+        exists: true,
+        hasValidKey: true,
+        algorithm: 'http://www.w3.org/2001/04/xmlenc#aes256-cbc',
+        compressionMethod: 8,
+        originalLength: Buffer.byteLength(epubFiles()['OEBPS/text/c1.xhtml'])
+      }),
+      expect.objectContaining({path: '/OEBPS/images/cover.png', compressionMethod: 0, hasValidKey: true})
+    ]);
+  });
+
+  test('reports missing keys', async () => {
+    const {data} = await makeLcpEpub();
+    const ebook = await Explorer.open(data, {keys: ['00'.repeat(32)]});
+    expect((await ebook.getProtectionReport()).resources.map(resource => resource.hasValidKey)).toEqual([false, false]);
+  });
+
+  test('classifies fonts, Adobe DRM, unknown methods and missing resources', async () => {
+    const files = epubFiles();
+    files['OEBPS/fonts/font.otf'] = idpfObfuscate(FONT);
+    files['OEBPS/fonts/adobe.otf'] = FONT;
+    files['META-INF/encryption.xml'] = '<?xml version="1.0"?><encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container">'
+      + fontEncryptedData('http://www.idpf.org/2008/embedding', 'OEBPS/fonts/font.otf')
+      + fontEncryptedData('http://ns.adobe.com/pdf/enc#RC', 'OEBPS/fonts/adobe.otf')
+      + '<EncryptedData xmlns="http://www.w3.org/2001/04/xmlenc#"><EncryptionMethod Algorithm="http://www.w3.org/2001/04/xmlenc#aes128-cbc"/>'
+      + '<KeyInfo xmlns="http://www.w3.org/2000/09/xmldsig#"><resource xmlns="http://ns.adobe.com/adept"/></KeyInfo>'
+      + '<CipherData><CipherReference URI="OEBPS/text/c2.xhtml"/></CipherData></EncryptedData>'
+      + fontEncryptedData('http://example.com/other', 'OEBPS/missing.bin')
+      + '</encryption>';
+    const data = await makeZip(files);
+    const ebook = await Explorer.open(data);
+
+    const {resources, methods} = await ebook.getProtectionReport();
+    expect(resources.map(({path, method, exists, hasValidKey}) => ({path, method, exists, hasValidKey}))).toEqual([
+      {path: '/OEBPS/fonts/font.otf', method: PROTECTION_METHODS.IDPF_FONT, exists: true, hasValidKey: true},
+      {path: '/OEBPS/fonts/adobe.otf', method: PROTECTION_METHODS.ADOBE_FONT, exists: true, hasValidKey: true},
+      {path: '/OEBPS/text/c2.xhtml', method: PROTECTION_METHODS.ADOBE_DRM, exists: true, hasValidKey: false},
+      {path: '/OEBPS/missing.bin', method: PROTECTION_METHODS.UNKNOWN, exists: false, hasValidKey: false}
+    ]);
+    expect(methods).toHaveLength(4);
+    expect(await Explorer.protections(data)).toEqual([
+      PROTECTION_METHODS.IDPF_FONT,
+      PROTECTION_METHODS.ADOBE_FONT,
+      PROTECTION_METHODS.ADOBE_DRM,
+      'http://example.com/other'
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import {BlobReader, BufferReader, Explorer, FileHandleReader, HttpRangeReader} from '../index';
+import RangeZip from '../src/RangeZip';
+import {epubFiles, makeZip, PNG} from './helpers/fixtures';
+
+const BIG_FILE = crypto.randomBytes(500000);
+
+/**
+ * Serves a file with Range support, counting the requests and the bytes sent
+ */
+function startRangeServer(data, {acceptRanges = true, answerHead = true} = {}) {
+  const stats = {requests: 0, bytes: 0};
+  const server = http.createServer((request, response) => {
+    stats.requests++;
+    if (request.method === 'HEAD') {
+      response.writeHead(answerHead ? 200 : 405, answerHead ? {'Content-Length': data.length} : {});
+      return response.end();
+    }
+    const match = /^bytes=(\d+)-(\d+)$/.exec(request.headers.range || '');
+    if (!match || !acceptRanges) {
+      stats.bytes += data.length;
+      response.writeHead(200, {'Content-Length': data.length});
+      return response.end(data);
+    }
+    const start = Number(match[1]);
+    const end = Math.min(Number(match[2]), data.length - 1);
+    stats.bytes += end - start + 1;
+    response.writeHead(206, {'Content-Range': `bytes ${start}-${end}/${data.length}`});
+    response.end(data.subarray(start, end + 1));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/book.epub`,
+    stats,
+    close: () => new Promise(closed => server.close(closed))
+  })));
+}
+
+describe('RangeZip', () => {
+  let data;
+
+  beforeAll(async () => {
+    data = await makeZip(Object.assign(epubFiles(), {'OEBPS/video/big.bin': BIG_FILE}));
+  });
+
+  test('reads an epub over HTTP range requests, fetching only the needed bytes', async () => {
+    const server = await startRangeServer(data);
+    try {
+      const ebook = await Explorer.loadFromUrl(server.url);
+      expect((await ebook.getMetadata())['dc:title']).toBe('Test Book');
+      expect((await ebook.getToc()).map(item => item.label)).toEqual(['One', 'Two']);
+
+      const cover = await ebook.getFile('OEBPS/images/cover.png');
+      expect(cover.contentType).toBe('image/png');
+      expect(Buffer.compare(cover.data, PNG)).toBe(0);
+      // the central directory, the end of the archive searched for it and the read entries
+      expect(server.stats.bytes).toBeLessThan(data.length / 4);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('gets the size from a range request when HEAD is not answered', async () => {
+    const server = await startRangeServer(data, {answerHead: false});
+    try {
+      expect(await new HttpRangeReader(server.url).size()).toBe(data.length);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('slices the whole file when the server ignores ranges', async () => {
+    const server = await startRangeServer(data, {acceptRanges: false});
+    try {
+      const reader = new HttpRangeReader(server.url);
+      expect(Buffer.from(await reader.read(10, 20)).equals(data.subarray(10, 30))).toBe(true);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('reads entries through a file handle and a blob', async () => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'range-zip-'));
+    const filePath = path.join(directory, 'book.epub');
+    await fs.promises.writeFile(filePath, data);
+    const fileHandle = await fs.promises.open(filePath);
+    try {
+      const ebook = await Explorer.open(new FileHandleReader(fileHandle));
+      expect((await ebook.getMetadata())['dc:creator']).toBe('Jane Doe');
+    } finally {
+      await fileHandle.close();
+      await fs.promises.rm(directory, {recursive: true});
+    }
+
+    const ebook = await Explorer.open(new BlobReader(new Blob([data])));
+    expect(await ebook.getCoverPath()).toBe('OEBPS/images/cover.png');
+  });
+
+  test('exposes the JSZip subset used by the toolkit', async () => {
+    const zip = await RangeZip.load(new BufferReader(new Uint8Array(data)));
+    expect(zip.file(/\.xhtml$/).map(file => file.name).sort()).toEqual(['OEBPS/nav.xhtml', 'OEBPS/text/c1.xhtml', 'OEBPS/text/c2.xhtml']);
+    expect(zip.file('missing')).toBeNull();
+    expect(await zip.file('mimetype').async('string')).toBe('application/epub+zip');
+    expect(Buffer.from(await zip.file('OEBPS/video/big.bin').async('uint8array')).equals(BIG_FILE)).toBe(true);
+  });
+
+  test('rejects data which is not a zip archive', async () => {
+    await expect(RangeZip.load(new BufferReader(new Uint8Array(100)))).rejects.toThrow('not a zip archive');
+  });
+});
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {IndexedDbRightsStorage, JsonFileRightsStorage, Lcp, RightsManager} from '../index';
+import {createLicense} from './helpers/fixtures';
+
+/**
+ * In-memory IndexedDB factory, implementing the requests the rights storage relies on.
+ * Requests complete asynchronously and values are copied, as with a real IndexedDB.
+ */
+function createFakeIndexedDb() {
+  const databases = {};
+  const request = (operation, beforeSuccess = () => {}) => {
+    const pending = {};
+    setTimeout(() => {
+      try {
+        pending.result = operation();
+      } catch (error) {
+        pending.error = error;
+        pending.onerror();
+        return;
+      }
+      beforeSuccess(pending);
+      pending.onsuccess();
+    });
+    return pending;
+  };
+  const createDatabase = stores => ({
+    createObjectStore: name => {
+      stores[name] = new Map();
+    },
+    transaction: (name, mode) => ({
+      objectStore: () => ({
+        get: key => request(() => stores[name].has(key) ? structuredClone(stores[name].get(key)) : undefined),
+        put: (value, key) => request(() => {
+          if (mode !== 'readwrite') {
+            throw new Error('ReadOnlyError');
+          }
+          stores[name].set(key, structuredClone(value));
+          return key;
+        })
+      })
+    })
+  });
+
+  return {
+    databases,
+    failing: false,
+    open(name) {
+      const isNew = !databases[name];
+      databases[name] = databases[name] || {stores: {}};
+      return request(() => {
+        if (this.failing) {
+          throw new Error('UnknownError');
+        }
+        return createDatabase(databases[name].stores);
+      }, pending => isNew && pending.onupgradeneeded());
+    }
+  };
+}
+
+describe('RightsManager', () => {
+  let license;
+
+  beforeEach(() => {
+    license = createLicense({rights: {print: 10, copy: 20}});
+  });
+
+  test('counts copied characters against the copy right', async () => {
+    const manager = Lcp.createRightsManager(license);
+
+    expect(await manager.canCopy('x'.repeat(20))).toBe(true);
+    expect(await manager.canCopy('x'.repeat(21))).toBe(false);
+    // characters, not UTF-16 code units
+    expect(await manager.consumeCopy('héllo 😀')).toBe(true);
+    expect(await manager.consumeCopy('x'.repeat(14))).toBe(false);
+    expect(await manager.getRights()).toEqual({
+      print: {limit: 10, consumed: 0, remaining: 10},
+      copy: {limit: 20, consumed: 7, remaining: 13}
+    });
+  });
+
+  test('does not let concurrent prints exceed the print right', async () => {
+    const manager = Lcp.createRightsManager(license);
+
+    expect(await Promise.all([manager.consumePrint(6), manager.consumePrint(6), manager.consumePrint(4)])).toEqual([true, false, true]);
+    expect((await manager.getRights()).print).toEqual({limit: 10, consumed: 10, remaining: 0});
+    expect(await manager.canPrint(1)).toBe(false);
+    expect(await manager.canPrint(0)).toBe(true);
+  });
+
+  test('does not limit missing rights', async () => {
+    const manager = Lcp.createRightsManager(createLicense());
+
+    expect(await manager.consumePrint(1000)).toBe(true);
+    expect(await manager.getRights()).toEqual({
+      print: {limit: null, consumed: 1000, remaining: null},
+      copy: {limit: null, consumed: 0, remaining: null}
+    });
+  });
+
+  test('rejects invalid amounts without recording them', async () => {
+    const manager = Lcp.createRightsManager(license);
+
+    for (const pages of [-1, 1.5, NaN, Infinity, '2', null]) {
+      await expect(manager.consumePrint(pages)).rejects.toThrow('invalid page count');
+    }
+    await expect(manager.canPrint(-1)).rejects.toThrow('invalid page count');
+    await expect(manager.consumeCopy(42)).rejects.toThrow('invalid copied text');
+    await expect(manager._consume('copy', -5)).rejects.toThrow('invalid copy amount');
+
+    expect(await manager.consumePrint(2)).toBe(true);
+    expect((await manager.getRights()).print.consumed).toBe(2);
+  });
+
+  describe('with a JSON file storage', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'rights-'));
+    });
+
+    afterEach(async () => {
+      await fs.promises.rm(directory, {recursive: true});
+    });
+
+    test('keeps the consumed rights across managers', async () => {
+      const filePath = path.join(directory, 'rights.json');
+      const manager = new RightsManager(license, new JsonFileRightsStorage(filePath));
+      await manager.consumeCopy('abcdefghij');
+      await manager.consumePrint(3);
+
+      const reloaded = new RightsManager(license, new JsonFileRightsStorage(filePath));
+      expect(await reloaded.getRights()).toEqual({
+        print: {limit: 10, consumed: 3, remaining: 7},
+        copy: {limit: 20, consumed: 10, remaining: 10}
+      });
+      expect(await reloaded.canCopy('x'.repeat(11))).toBe(false);
+
+      await new RightsManager(createLicense({id: 'license-2'}), new JsonFileRightsStorage(filePath)).consumePrint(1);
+      expect(JSON.parse(await fs.promises.readFile(filePath, 'utf8'))).toEqual({
+        'license-1': {print: 3, copy: 10},
+        'license-2': {print: 1, copy: 0}
+      });
+      expect(await fs.promises.readdir(directory)).toEqual(['rights.json']);
+    });
+  });
+
+  describe('with an IndexedDB storage', () => {
+    let indexedDB;
+
+    beforeEach(() => {
+      indexedDB = createFakeIndexedDb();
+    });
+
+    test('keeps the consumed rights across managers', async () => {
+      const manager = new RightsManager(license, new IndexedDbRightsStorage({indexedDB}));
+      await manager.consumeCopy('abcdefghij');
+      expect(await manager.consumePrint(3)).toBe(true);
+
+      const reloaded = new RightsManager(license, new IndexedDbRightsStorage({indexedDB}));
+      expect(await reloaded.getRights()).toEqual({
+        print: {limit: 10, consumed: 3, remaining: 7},
+        copy: {limit: 20, consumed: 10, remaining: 10}
+      });
+      expect(await reloaded.canCopy('x'.repeat(11))).toBe(false);
+
+      await new RightsManager(createLicense({id: 'license-2'}), new IndexedDbRightsStorage({indexedDB})).consumePrint(1);
+      expect(Object.keys(indexedDB.databases)).toEqual(['lcp-rights']);
+      expect(Array.from(indexedDB.databases['lcp-rights'].stores.counters)).toEqual([
+        ['license-1', {print: 3, copy: 10}],
+        ['license-2', {print: 1, copy: 0}]
+      ]);
+    });
+
+    test('reads the counters of unknown licenses as missing and uses the given database', async () => {
+      const storage = new IndexedDbRightsStorage({databaseName: 'other-rights', indexedDB});
+      expect(await storage.get('license-1')).toBeNull();
+
+      const counters = {print: 1, copy: 2};
+      await storage.set('license-1', counters);
+      counters.print = 5;
+      expect(await storage.get('license-1')).toEqual({print: 1, copy: 2});
+      expect(Object.keys(indexedDB.databases)).toEqual(['other-rights']);
+    });
+
+    test('rejects when the database can not be opened', async () => {
+      indexedDB.failing = true;
+      const manager = new RightsManager(license, new IndexedDbRightsStorage({indexedDB}));
+      await expect(manager.consumePrint(1)).rejects.toThrow('UnknownError');
+    });
+  });
+});
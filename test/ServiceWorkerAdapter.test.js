@@ -0,0 +1,53 @@
+import {Explorer, ServiceWorkerAdapter} from '../index';
+import {chapter, makeLcpEpub, PNG, USER_KEY} from './helpers/fixtures';
+
+function fetchEvent(url, headers = {}) {
+  return {
+    request: new Request(url, {headers}),
+    respondWith(response) {
+      this.response = response;
+    }
+  };
+}
+
+describe('ServiceWorkerAdapter', () => {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = new ServiceWorkerAdapter({baseUrl: 'https://reader.test/sw.js'});
+    expect(adapter.mount('/pub/my book/', await Explorer.open((await makeLcpEpub()).data, {keys: [USER_KEY]})))
+      .toBe('https://reader.test/pub/my%20book/');
+  });
+
+  test('answers fetches of the resources of mounted publications', async () => {
+    const event = fetchEvent('https://reader.test/pub/my%20book/OEBPS/text/c1.xhtml?v=1');
+    expect(adapter.handleFetch(event)).toBe(true);
+    const response = await event.response;
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('application/xhtml+xml');
+    expect(await response.text()).toBe(chapter(1));
+
+    const manifest = await adapter.respond(new Request('https://reader.test/pub/my%20book/manifest.json'));
+    expect((await manifest.json()).metadata.title).toBe('Test Book');
+  });
+
+  test('answers range requests', async () => {
+    const response = await adapter.respond(new Request('https://reader.test/pub/my%20book/OEBPS/images/cover.png', {headers: {Range: 'bytes=-4'}}));
+    expect(response.status).toBe(206);
+    expect(response.headers.get('content-range')).toBe(`bytes ${PNG.length - 4}-${PNG.length - 1}/${PNG.length}`);
+    expect(Buffer.compare(Buffer.from(await response.arrayBuffer()), PNG.subarray(-4))).toBe(0);
+  });
+
+  test('leaves other fetches to the network', () => {
+    expect(adapter.handleFetch(fetchEvent('https://reader.test/app.js'))).toBe(false);
+    expect(adapter.handleFetch(fetchEvent('https://other.test/pub/my%20book/OEBPS/text/c1.xhtml'))).toBe(false);
+
+    adapter.unmount('/pub/my book');
+    expect(adapter.handles('https://reader.test/pub/my%20book/manifest.json')).toBe(false);
+  });
+
+  test('answers errors for missing resources and malformed urls', async () => {
+    expect((await adapter.respond(new Request('https://reader.test/pub/my%20book/missing'))).status).toBe(404);
+    expect((await adapter.respond(new Request('https://reader.test/pub/my%20book/%E0%A4%A'))).status).toBe(400);
+  });
+});
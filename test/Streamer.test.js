@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import http from 'http';
+import {Explorer, Streamer} from '../index';
+import WebEpub from '../src/WebEpub';
+import {chapter, epubFiles, FONT, makeFontEpub, makeLcpEpub, PNG, USER_KEY} from './helpers/fixtures';
+
+const PDF = Buffer.from('%PDF-1.4 hello');
+const VIDEO = crypto.randomBytes(500000);
+
+function request(url, path) {
+  return new Promise((resolve, reject) => {
+    http.get(url + path, response => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Byte-range reader of a buffer, counting the bytes read
+ */
+function createCountingReader(data) {
+  const reader = {
+    bytesRead: 0,
+    size: async () => data.length,
+    read: async (start, length) => {
+      reader.bytesRead += length;
+      return new Uint8Array(data.subarray(start, start + length));
+    }
+  };
+  return reader;
+}
+
+describe('Streamer', () => {
+  let streamer;
+  let baseUrl;
+  let videoReader;
+
+  beforeAll(async () => {
+    const pdfPackage = await makeLcpEpub({files: {'doc/book.pdf': PDF}, paths: ['doc/book.pdf']});
+    const videoEpub = await makeLcpEpub({
+      files: Object.assign(epubFiles(), {'OEBPS/video/clip.mp4': VIDEO}),
+      paths: ['OEBPS/text/c1.xhtml', 'OEBPS/video/clip.mp4'],
+      compression: 'STORE'
+    });
+    videoReader = createCountingReader(videoEpub.data);
+    streamer = new Streamer();
+    streamer.mount('/books/1/', await Explorer.open((await makeLcpEpub()).data, {keys: [USER_KEY]}));
+    streamer.mount('fonts', await Explorer.open(await makeFontEpub()));
+    streamer.mount('/pdf', await Explorer.open(pdfPackage.data, {keys: [USER_KEY]}));
+    streamer.mount('/video', await Explorer.open(videoReader, {keys: [USER_KEY]}));
+    baseUrl = await streamer.listen();
+  });
+
+  afterAll(() => streamer.close());
+
+  test('serves deciphered resources with conditional requests', async () => {
+    const response = await fetch(`${baseUrl}/books/1/OEBPS/text/c1.xhtml`);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('application/xhtml+xml');
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+    expect(await response.text()).toBe(chapter(1));
+
+    const notModified = await fetch(`${baseUrl}/books/1/OEBPS/text/c1.xhtml`, {headers: {'If-None-Match': response.headers.get('etag')}});
+    expect(notModified.status).toBe(304);
+  });
+
+  test('serves byte ranges', async () => {
+    const partial = await fetch(`${baseUrl}/books/1/OEBPS/images/cover.png`, {headers: {Range: 'bytes=1-3'}});
+    expect(partial.status).toBe(206);
+    expect(partial.headers.get('content-range')).toBe(`bytes 1-3/${PNG.length}`);
+    expect(Buffer.from(await partial.arrayBuffer()).toString()).toBe('PNG');
+
+    const unsatisfiable = await fetch(`${baseUrl}/books/1/OEBPS/images/cover.png`, {headers: {Range: 'bytes=999-'}});
+    expect(unsatisfiable.status).toBe(416);
+  });
+
+  test('deciphers byte ranges of stored LCP resources without reading them entirely', async () => {
+    videoReader.bytesRead = 0;
+    for (const [start, end] of [[0, 99], [250000, 250999], [499990, 499999]]) {
+      const partial = await fetch(`${baseUrl}/video/OEBPS/video/clip.mp4`, {headers: {Range: `bytes=${start}-${end}`}});
+      expect(partial.status).toBe(206);
+      expect(partial.headers.get('content-range')).toBe(`bytes ${start}-${end}/${VIDEO.length}`);
+      expect(Buffer.compare(Buffer.from(await partial.arrayBuffer()), VIDEO.subarray(start, end + 1))).toBe(0);
+    }
+    expect(videoReader.bytesRead).toBeLessThan(VIDEO.length / 10);
+
+    const suffix = await fetch(`${baseUrl}/video/OEBPS/video/clip.mp4`, {headers: {Range: 'bytes=-10'}});
+    expect(Buffer.compare(Buffer.from(await suffix.arrayBuffer()), VIDEO.subarray(VIDEO.length - 10))).toBe(0);
+
+    // deflated resources are deciphered entirely
+    const text = await fetch(`${baseUrl}/video/OEBPS/text/c1.xhtml`, {headers: {Range: 'bytes=0-4'}});
+    expect(await text.text()).toBe(chapter(1).substr(0, 5));
+  });
+
+  test('serves deobfuscated fonts and LCP pdfs', async () => {
+    const font = await fetch(`${baseUrl}/fonts/OEBPS/fonts/font.otf`);
+    expect(Buffer.compare(Buffer.from(await font.arrayBuffer()), FONT)).toBe(0);
+
+    const pdf = await fetch(`${baseUrl}/pdf/doc/book.pdf`);
+    expect(Buffer.compare(Buffer.from(await pdf.arrayBuffer()), PDF)).toBe(0);
+  });
+
+  test('generates a manifest readable by WebEpub', async () => {
+    const webEpub = await Explorer.loadFromWebPubUrl(`${baseUrl}/books/1`);
+    expect(webEpub).toBeInstanceOf(WebEpub);
+    expect((await webEpub.getMetadata()).title).toBe('Test Book');
+    expect((await webEpub.getSpine()).map(item => item.href)).toEqual(['OEBPS/text/c1.xhtml', 'OEBPS/text/c2.xhtml']);
+  });
+
+  test('answers errors for unknown, unmounted and malformed paths', async () => {
+    expect((await fetch(`${baseUrl}/books/1/OEBPS/missing.xhtml`)).status).toBe(404);
+    expect((await fetch(`${baseUrl}/unknown/file`)).status).toBe(404);
+    expect((await fetch(`${baseUrl}/books/1/OEBPS/text/c1.xhtml`, {method: 'POST'})).status).toBe(405);
+    // a raw request, sending the malformed path as is
+    expect(await request(baseUrl, '/books/1/%E0%A4%A')).toBe(400);
+
+    streamer.unmount('/books/1');
+    expect((await fetch(`${baseUrl}/books/1/OEBPS/text/c1.xhtml`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,69 @@
+import JSZip from 'jszip';
+import {Explorer} from '../index';
+import {epubFiles, fontEncryptedData, makeLcpEpub, makeZip} from './helpers/fixtures';
+
+async function findingCodes(data) {
+  return (await Explorer.validate(data)).map(finding => `${finding.code} ${finding.path}`);
+}
+
+describe('Explorer.validate', () => {
+  test('finds nothing in a valid epub', async () => {
+    expect(await Explorer.validate(await makeZip())).toEqual([]);
+  });
+
+  test('accepts LCP protected epubs', async () => {
+    expect(await Explorer.validate((await makeLcpEpub()).data)).toEqual([]);
+  });
+
+  test('reports structural errors with their path', async () => {
+    const files = epubFiles();
+    files['OEBPS/text/c2.xhtml'] = files['OEBPS/text/c2.xhtml'].replace('../images/cover.png', '../images/missing.png');
+    files['OEBPS/extra.txt'] = 'extra';
+    files['OEBPS/content.opf'] = files['OEBPS/content.opf']
+      .replace('<dc:language>en</dc:language>', '')
+      .replace('<itemref idref="c2"/>', '<itemref idref="c2"/><itemref idref="unknown"/>');
+    delete files['OEBPS/style.css'];
+    files['META-INF/encryption.xml'] = `<encryption>${fontEncryptedData('http://www.idpf.org/2008/embedding', 'OEBPS/fonts/none.otf')}</encryption>`;
+
+    const findings = await Explorer.validate(await makeZip(files));
+    expect(findings.every(finding => finding.message)).toBe(true);
+    expect(findings.map(finding => `${finding.severity} ${finding.code} ${finding.path}`).sort()).toEqual([
+      'error ENCRYPTED_RESOURCE_MISSING OEBPS/fonts/none.otf',
+      'error LINK_BROKEN OEBPS/text/c1.xhtml',
+      'error LINK_BROKEN OEBPS/text/c2.xhtml',
+      'error LINK_BROKEN OEBPS/text/c2.xhtml',
+      'error METADATA_MISSING OEBPS/content.opf',
+      'error RESOURCE_MISSING OEBPS/style.css',
+      'error SPINE_ITEMREF_INVALID OEBPS/content.opf',
+      'warning RESOURCE_UNDECLARED OEBPS/extra.txt'
+    ]);
+  });
+
+  test('checks the mimetype entry placement', async () => {
+    const files = epubFiles();
+    const reversed = new JSZip();
+    Object.keys(files).reverse().forEach(path => reversed.file(path, files[path]));
+    expect(await findingCodes(await reversed.generateAsync({type: 'nodebuffer'}))).toEqual(['MIMETYPE_NOT_FIRST mimetype']);
+
+    const compressed = new JSZip();
+    Object.keys(files).forEach(path => compressed.file(path, files[path], {compression: 'DEFLATE'}));
+    expect(await findingCodes(await compressed.generateAsync({type: 'nodebuffer'}))).toEqual(['MIMETYPE_COMPRESSED mimetype']);
+
+    files.mimetype = 'application/zip';
+    expect(await findingCodes(await makeZip(files))).toEqual(['MIMETYPE_INVALID mimetype']);
+  });
+
+  test('reports missing navigation and container files', async () => {
+    const files = epubFiles();
+    delete files['OEBPS/nav.xhtml'];
+    files['OEBPS/content.opf'] = files['OEBPS/content.opf'].replace('<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>', '');
+    expect(await findingCodes(await makeZip(files))).toEqual(['NAV_MISSING OEBPS/content.opf']);
+
+    delete files['META-INF/container.xml'];
+    expect(await findingCodes(await makeZip(files))).toEqual(['CONTAINER_MISSING META-INF/container.xml']);
+  });
+
+  test('reports data which is not a zip archive', async () => {
+    expect(await findingCodes(Buffer.from('not a zip'))).toEqual(['ZIP_INVALID null']);
+  });
+});
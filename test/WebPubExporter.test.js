@@ -0,0 +1,79 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import {Explorer} from '../index';
+import WebEpub from '../src/WebEpub';
+import {writeWebPubFiles} from '../src/WebPubExporter';
+import {chapter, epubFiles, makeLcpEpub, USER_KEY} from './helpers/fixtures';
+
+function startStaticServer(directory) {
+  const server = http.createServer((request, response) => {
+    fs.promises.readFile(path.join(directory, decodeURIComponent(request.url)))
+      .then(data => response.end(data))
+      .catch(() => {
+        response.statusCode = 404;
+        response.end();
+      });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/`,
+    close: () => new Promise(closed => server.close(closed))
+  })));
+}
+
+describe('WebPubExporter', () => {
+  let ebook;
+  let directory;
+
+  beforeEach(async () => {
+    ebook = await Explorer.open((await makeLcpEpub()).data, {keys: [USER_KEY]});
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'webpub-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, {recursive: true});
+  });
+
+  test('explodes an epub into its raw resources and a manifest', async () => {
+    const files = await ebook.toWebPubFiles();
+
+    expect(Object.keys(files).sort()).toEqual(Object.keys(epubFiles()).concat(['META-INF/encryption.xml', 'META-INF/license.lcpl', 'manifest.json']).sort());
+    // resources are kept encrypted
+    expect(Buffer.from(files['OEBPS/text/c1.xhtml']).toString()).not.toBe(chapter(1));
+    expect(JSON.parse(Buffer.from(files['manifest.json']).toString()).readingOrder).toHaveLength(2);
+  });
+
+  test('writes a directory readable as a web publication and as a directory epub', async () => {
+    const paths = await ebook.writeWebPub(directory);
+    expect(paths).toContain('manifest.json');
+
+    const server = await startStaticServer(directory);
+    try {
+      const webEpub = await Explorer.loadFromWebPubUrl(server.url);
+      expect(webEpub).toBeInstanceOf(WebEpub);
+      expect((await webEpub.getMetadata()).title).toBe('Test Book');
+      expect((await webEpub.getLicense()).id).toBe('license-1');
+      expect(await webEpub.coverPath()).toBe('OEBPS/images/cover.png');
+      expect((await webEpub.getSpine()).map(item => [item.path, !!item.protection])).toEqual([
+        ['/OEBPS/text/c1.xhtml', true],
+        ['/OEBPS/text/c2.xhtml', false]
+      ]);
+    } finally {
+      await server.close();
+    }
+
+    const directoryEpub = await Explorer.loadFromDirectory(directory, null, [USER_KEY]);
+    expect((await directoryEpub.getFile('OEBPS/text/c1.xhtml')).data).toBe(chapter(1));
+  });
+
+  test('refuses file paths leading out of the directory and writes nothing', async () => {
+    const target = path.join(directory, 'out');
+    const data = new TextEncoder().encode('escaped');
+
+    await expect(writeWebPubFiles({'manifest.json': data, '../escaped.txt': data}, target)).rejects.toThrow('invalid file path ../escaped.txt');
+    await expect(writeWebPubFiles({'OEBPS/../../escaped.txt': data}, target)).rejects.toThrow('invalid file path');
+    await expect(writeWebPubFiles({[path.join(directory, 'absolute.txt')]: data}, target)).rejects.toThrow('invalid file path');
+    expect(await fs.promises.readdir(directory)).toEqual([]);
+  });
+});
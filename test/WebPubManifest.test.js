@@ -0,0 +1,45 @@
+import {Explorer} from '../index';
+import {epubFiles, makeZip, UID} from './helpers/fixtures';
+
+describe('ZipEpub.toWebPubManifest', () => {
+  test('maps a reflowable epub', async () => {
+    const manifest = await (await Explorer.open(await makeZip())).toWebPubManifest();
+
+    expect(manifest['@context']).toBe('https://readium.org/webpub-manifest/context.jsonld');
+    expect(manifest.metadata).toEqual(expect.objectContaining({
+      '@type': 'http://schema.org/Book',
+      identifier: UID,
+      title: 'Test Book',
+      language: 'en',
+      author: 'Jane Doe',
+      modified: '2020-01-01T00:00:00Z'
+    }));
+    expect(manifest.metadata.presentation.layout).toBe('reflowable');
+    expect(manifest.links).toEqual([{rel: 'self', href: 'manifest.json', type: 'application/webpub+json'}]);
+    expect(manifest.readingOrder).toEqual([
+      {href: 'OEBPS/text/c1.xhtml', type: 'application/xhtml+xml'},
+      {href: 'OEBPS/text/c2.xhtml', type: 'application/xhtml+xml'}
+    ]);
+    expect(manifest.resources).toEqual([
+      {href: 'OEBPS/nav.xhtml', type: 'application/xhtml+xml', rel: 'contents'},
+      {href: 'OEBPS/toc.ncx', type: 'application/x-dtbncx+xml'},
+      {href: 'OEBPS/images/cover.png', type: 'image/png', rel: 'cover'},
+      {href: 'OEBPS/style.css', type: 'text/css'}
+    ]);
+    expect(manifest.toc).toEqual([{href: 'OEBPS/text/c1.xhtml#h1', title: 'One'}, {href: 'OEBPS/text/c2.xhtml', title: 'Two'}]);
+  });
+
+  test('maps rendition properties, page spreads and landmarks', async () => {
+    const files = epubFiles();
+    files['OEBPS/content.opf'] = files['OEBPS/content.opf']
+      .replace('<meta name="cover"', '<meta property="rendition:layout">pre-paginated</meta><meta property="rendition:spread">none</meta><meta name="cover"')
+      .replace('<itemref idref="c2"/>', '<itemref idref="c2" properties="page-spread-left"/>');
+    files['OEBPS/nav.xhtml'] = files['OEBPS/nav.xhtml']
+      .replace('</nav>', '</nav><nav epub:type="landmarks"><ol><li><a epub:type="bodymatter" href="text/c1.xhtml">Start</a></li></ol></nav>');
+    const manifest = await (await Explorer.open(await makeZip(files))).toWebPubManifest();
+
+    expect(manifest.metadata.presentation).toEqual({layout: 'fixed', orientation: 'auto', spread: 'none', overflow: 'auto'});
+    expect(manifest.readingOrder[1].properties).toEqual({page: 'left'});
+    expect(manifest.landmarks).toEqual([{href: 'OEBPS/text/c1.xhtml', title: 'Start', rel: 'bodymatter'}]);
+  });
+});
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import {Explorer} from '../index';
+import ZipAudiobook from '../src/ZipAudiobook';
+import {aesEncrypt, CONTENT_KEY, createLicense, makeZip, USER_KEY} from './helpers/fixtures';
+
+const TRACK_1 = crypto.randomBytes(5000);
+const TRACK_2 = crypto.randomBytes(7000);
+
+const MANIFEST = {
+  '@context': 'https://readium.org/webpub-manifest/context.jsonld',
+  metadata: {'@type': 'http://schema.org/Audiobook', title: 'Test Audiobook', duration: 300},
+  readingOrder: [
+    {
+      href: 'track1.mp3',
+      type: 'audio/mpeg',
+      duration: 100,
+      title: 'Track 1',
+      properties: {
+        encrypted: {
+          scheme: 'http://readium.org/2014/01/lcp',
+          profile: 'http://readium.org/lcp/basic-profile',
+          algorithm: 'http://www.w3.org/2001/04/xmlenc#aes256-cbc'
+        }
+      }
+    },
+    {href: 'track2.mp3', type: 'audio/mpeg', duration: 200, title: 'Track 2'}
+  ],
+  resources: [{href: 'cover.jpg', type: 'image/jpeg', rel: 'cover'}],
+  toc: [
+    {href: 'track1.mp3', title: 'Chapter 1'},
+    {href: 'track2.mp3', title: 'Chapter 2', children: [{href: 'track2.mp3#t=50', title: 'Part 2.1'}]}
+  ]
+};
+
+function makeAudiobook() {
+  return makeZip({
+    'manifest.json': JSON.stringify(MANIFEST),
+    'license.lcpl': JSON.stringify(createLicense()),
+    'track1.mp3': aesEncrypt(CONTENT_KEY, TRACK_1),
+    'track2.mp3': TRACK_2,
+    'cover.jpg': 'cover'
+  }, {compression: 'STORE'});
+}
+
+describe('ZipAudiobook', () => {
+  let audiobook;
+
+  beforeAll(async () => {
+    audiobook = await Explorer.open(await makeAudiobook(), {keys: [USER_KEY]});
+  });
+
+  test('is detected from its manifest', () => {
+    expect(audiobook).toBeInstanceOf(ZipAudiobook);
+    expect(ZipAudiobook.isAudiobookManifest({metadata: {}, readingOrder: [{href: 'a.mp3', type: 'audio/mpeg'}]})).toBe(true);
+    expect(ZipAudiobook.isAudiobookManifest({metadata: {}, readingOrder: [{href: 'a.html', type: 'text/html'}]})).toBe(false);
+  });
+
+  test('positions the tracks and the toc in time', async () => {
+    expect((await audiobook.getSpine()).map(({path, start, duration}) => ({path, start, duration}))).toEqual([
+      {path: '/track1.mp3', start: 0, duration: 100},
+      {path: '/track2.mp3', start: 100, duration: 200}
+    ]);
+
+    const toc = await audiobook.getToc();
+    expect(toc.map(item => item.start)).toEqual([0, 100]);
+    expect(toc[1].children[0]).toEqual(expect.objectContaining({level: 2, start: 150, position: 2}));
+  });
+
+  test('paginates by duration', async () => {
+    const pagination = await audiobook.getPagination();
+    expect(pagination.totalDuration).toBe(300);
+    expect(pagination.maxLevel).toBe(2);
+    expect(pagination.elements.map(({label, percentageOfBook, positionInBook}) => ({label, percentageOfBook, positionInBook}))).toEqual([
+      {label: 'Chapter 1', percentageOfBook: 100 / 3, positionInBook: 0},
+      {label: 'Chapter 2', percentageOfBook: 200 / 3, positionInBook: 100 / 3}
+    ]);
+  });
+
+  test('deciphers the LCP protected tracks', async () => {
+    expect((await audiobook.getLicense()).id).toBe('license-1');
+    expect(await audiobook.getCoverPath()).toBe('cover.jpg');
+
+    const track = await audiobook.getFile('track1.mp3');
+    expect(track.contentType).toBe('audio/mpeg');
+    expect(Buffer.compare(Buffer.from(track.data), TRACK_1)).toBe(0);
+    expect(Buffer.compare(Buffer.from((await audiobook.getFile('track2.mp3')).data), TRACK_2)).toBe(0);
+  });
+});
@@ -0,0 +1,46 @@
+import {Explorer} from '../index';
+import ZipComic from '../src/ZipComic';
+import {makeZip, PNG} from './helpers/fixtures';
+
+const PAGES = ['ch2/page10.png', 'ch1/page2.png', 'ch1/page10.png', 'ch2/page1.png', 'ch1/page1.png', '__MACOSX/ch1/._page1.png', '.DS_Store'];
+
+const COMIC_INFO = '<?xml version="1.0"?><ComicInfo><Title>Hero</Title><Series>Heroes</Series><Number>3</Number><Writer>Jane Doe</Writer>'
+  + '<Pages><Page Image="0" Type="Story" Bookmark="Start"/><Page Image="2" Type="FrontCover"/><Page Image="3" Bookmark="Middle"/></Pages></ComicInfo>';
+
+function makeComic(files = {}) {
+  const pages = {};
+  PAGES.forEach(path => {
+    pages[path] = PNG;
+  });
+  return makeZip(Object.assign(pages, files), {compression: 'STORE'});
+}
+
+describe('ZipComic', () => {
+  test('builds a fixed layout spine from the naturally sorted images', async () => {
+    const comic = await Explorer.open(await makeComic());
+    expect(comic).toBeInstanceOf(ZipComic);
+    expect(await comic.isFixedLayout()).toBe(true);
+
+    const analysis = await comic.analyze();
+    expect(analysis.spine.map(item => item.href)).toEqual(['ch1/page1.png', 'ch1/page2.png', 'ch1/page10.png', 'ch2/page1.png', 'ch2/page10.png']);
+    expect(analysis.toc.map(item => [item.label, item.href])).toEqual([['ch1', 'ch1/page1.png'], ['ch2', 'ch2/page1.png']]);
+    expect(analysis.metadata).toEqual({});
+    expect(await comic.getCoverPath()).toBe('ch1/page1.png');
+  });
+
+  test('reads metadata, bookmarks and the cover from ComicInfo.xml', async () => {
+    const comic = await Explorer.open(await makeComic({'ComicInfo.xml': COMIC_INFO}));
+
+    expect(await comic.getMetadata()).toEqual({title: 'Hero', series: 'Heroes', number: '3', writer: 'Jane Doe'});
+    expect((await comic.getToc()).map(item => [item.label, item.href])).toEqual([['Start', 'ch1/page1.png'], ['Middle', 'ch2/page1.png']]);
+    expect(await comic.getCoverPath()).toBe('ch1/page10.png');
+
+    const page = await comic.getFile('ch1/page1.png');
+    expect(page.contentType).toBe('image/png');
+    expect(Buffer.compare(page.data, PNG)).toBe(0);
+  });
+
+  test('is not confused with epubs', async () => {
+    expect(await Explorer.open(await makeZip())).not.toBeInstanceOf(ZipComic);
+  });
+});
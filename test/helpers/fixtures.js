@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+import JSZip from 'jszip';
+
+// in-memory publications shared by the test suites, LCP content being encrypted with node:crypto
+
+export const UID = 'urn:uuid:12345678-1234-1234-1234-123456789abc';
+
+export const OPF = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="uid">${UID}</dc:identifier>
+    <dc:title>Test Book</dc:title>
+    <dc:creator>Jane Doe</dc:creator>
+    <dc:language>en</dc:language>
+    <meta property="dcterms:modified">2020-01-01T00:00:00Z</meta>
+    <meta name="cover" content="cover"/>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="c1" href="text/c1.xhtml" media-type="application/xhtml+xml"/>
+    <item id="c2" href="text/c2.xhtml" media-type="application/xhtml+xml"/>
+    <item id="cover" href="images/cover.png" media-type="image/png" properties="cover-image"/>
+    <item id="css" href="style.css" media-type="text/css"/>
+  </manifest>
+  <spine toc="ncx"><itemref idref="c1"/><itemref idref="c2"/></spine>
+</package>`;
+
+export const NAV = '<?xml version="1.0" encoding="UTF-8"?><html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><head><title>Contents</title></head><body><nav epub:type="toc"><ol><li><a href="text/c1.xhtml#h1">One</a></li><li><a href="text/c2.xhtml">Two</a></li></ol></nav></body></html>';
+
+export const NCX = `<?xml version="1.0"?><ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1"><head><meta name="dtb:uid" content="${UID}"/></head><docTitle><text>Test Book</text></docTitle><navMap><navPoint id="n1"><navLabel><text>One</text></navLabel><content src="text/c1.xhtml#h1"/></navPoint><navPoint id="n2"><navLabel><text>Two</text></navLabel><content src="text/c2.xhtml"/></navPoint></navMap></ncx>`;
+
+export const CONTAINER = '<?xml version="1.0"?><container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container"><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>';
+
+export const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d49444154789c6360000000000500010d0a2db40000000049454e44ae426082', 'hex');
+
+export const FONT = crypto.randomBytes(3000);
+
+export function chapter(number) {
+  return `<?xml version="1.0" encoding="UTF-8"?><html xmlns="http://www.w3.org/1999/xhtml"><head><title>C${number}</title><link rel="stylesheet" href="../style.css"/></head><body><h1 id="h${number}">Chapter ${number}</h1><p>Hello world ${number}</p><img src="../images/cover.png" alt=""/></body></html>`;
+}
+
+export function epubFiles() {
+  return {
+    'mimetype': 'application/epub+zip',
+    'META-INF/container.xml': CONTAINER,
+    'OEBPS/content.opf': OPF,
+    'OEBPS/nav.xhtml': NAV,
+    'OEBPS/toc.ncx': NCX,
+    'OEBPS/text/c1.xhtml': chapter(1),
+    'OEBPS/text/c2.xhtml': chapter(2),
+    'OEBPS/images/cover.png': PNG,
+    'OEBPS/style.css': 'body { color: black; }'
+  };
+}
+
+/**
+ * @param files: {path: data}
+ * @param options: {compression} 'DEFLATE' or 'STORE', the mimetype being always stored
+ * @returns {Promise<Buffer>}
+ */
+export async function makeZip(files = epubFiles(), {compression = 'DEFLATE'} = {}) {
+  const zip = new JSZip();
+  Object.keys(files).forEach(path => {
+    zip.file(path, files[path], {compression: path === 'mimetype' ? 'STORE' : compression});
+  });
+  return zip.generateAsync({type: 'nodebuffer'});
+}
+
+export function idpfObfuscate(data, uid = UID) {
+  const key = crypto.createHash('sha1').update(uid.replace(/[ \t\r\n]/g, '')).digest();
+  const obfuscated = Buffer.from(data);
+  for (let i = 0; i < 1040; i++) {
+    obfuscated[i] ^= key[i % key.length];
+  }
+  return obfuscated;
+}
+
+export function adobeObfuscate(data, uid = UID) {
+  const key = Buffer.from(uid.replace('urn:uuid:', '').replace(/-/g, ''), 'hex');
+  const obfuscated = Buffer.from(data);
+  for (let i = 0; i < 1024; i++) {
+    obfuscated[i] ^= key[i % key.length];
+  }
+  return obfuscated;
+}
+
+export function fontEncryptedData(algorithm, path) {
+  return `<EncryptedData xmlns="http://www.w3.org/2001/04/xmlenc#"><EncryptionMethod Algorithm="${algorithm}"/><CipherData><CipherReference URI="${path}"/></CipherData></EncryptedData>`;
+}
+
+export function makeFontEpub(algorithm = 'http://www.idpf.org/2008/embedding', obfuscate = idpfObfuscate) {
+  const files = epubFiles();
+  files['OEBPS/content.opf'] = OPF.replace('</manifest>', '  <item id="font" href="fonts/font.otf" media-type="font/otf"/>\n  </manifest>');
+  files['OEBPS/fonts/font.otf'] = obfuscate(FONT);
+  files['META-INF/encryption.xml'] = `<?xml version="1.0"?><encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container">${fontEncryptedData(algorithm, 'OEBPS/fonts/font.otf')}</encryption>`;
+  return makeZip(files);
+}
+
+// LCP
+
+export const PASSPHRASE = 'secret';
+export const USER_KEY = crypto.createHash('sha256').update(PASSPHRASE).digest('hex');
+export const CONTENT_KEY = crypto.randomBytes(32);
+
+export function aesEncrypt(key, data) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+  return Buffer.concat([iv, cipher.update(data), cipher.final()]);
+}
+
+export function createLicense(fields = {}) {
+  const userKey = Buffer.from(USER_KEY, 'hex');
+  return Object.assign({
+    id: 'license-1',
+    provider: 'https://provider.example.com',
+    issued: '2020-01-01T00:00:00Z',
+    encryption: {
+      profile: 'http://readium.org/lcp/basic-profile',
+      content_key: {
+        algorithm: 'http://www.w3.org/2001/04/xmlenc#aes256-cbc',
+        encrypted_value: aesEncrypt(userKey, CONTENT_KEY).toString('base64')
+      },
+      user_key: {
+        algorithm: 'http://www.w3.org/2001/04/xmlenc#sha256',
+        text_hint: 'the usual one',
+        key_check: aesEncrypt(userKey, Buffer.from(fields.id || 'license-1')).toString('base64')
+      }
+    },
+    links: [],
+    rights: {}
+  }, fields);
+}
+
+function lcpEncryptedData(path, compressed, originalLength) {
+  const compression = compressed
+    ? `<EncryptionProperties><EncryptionProperty><Compression xmlns="http://www.idpf.org/2016/encryption#compression" Method="8" OriginalLength="${originalLength}"/></EncryptionProperty></EncryptionProperties>`
+    : '';
+  return '<EncryptedData xmlns="http://www.w3.org/2001/04/xmlenc#"><EncryptionMethod Algorithm="http://www.w3.org/2001/04/xmlenc#aes256-cbc"/>'
+    + '<KeyInfo xmlns="http://www.w3.org/2000/09/xmldsig#"><RetrievalMethod URI="license.lcpl#/encryption/content_key" Type="http://readium.org/2014/01/lcp#EncryptedContentKey"/></KeyInfo>'
+    + `<CipherData><CipherReference URI="${path}"/></CipherData>${compression}</EncryptedData>`;
+}
+
+/**
+ * Encrypts resources of an epub with LCP, xhtml, ncx and css resources being deflated before encryption
+ *
+ * @param options: {paths, files, compression, license}
+ * @returns {Promise<{data: Buffer, license, files}>} files being the clear files
+ */
+export async function makeLcpEpub({paths = ['OEBPS/text/c1.xhtml', 'OEBPS/images/cover.png'], files = epubFiles(), compression, license = createLicense()} = {}) {
+  const clearFiles = Object.assign({}, files);
+  const protectedFiles = Object.assign({}, files);
+  const encryptedData = paths.map(path => {
+    const plain = Buffer.from(files[path]);
+    const deflate = /\.(xhtml|ncx|css)$/.test(path);
+    protectedFiles[path] = aesEncrypt(CONTENT_KEY, deflate ? zlib.deflateRawSync(plain) : plain);
+    return lcpEncryptedData(path, deflate, plain.length);
+  });
+  protectedFiles['META-INF/encryption.xml'] = `<?xml version="1.0"?><encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container">${encryptedData.join('')}</encryption>`;
+  protectedFiles['META-INF/license.lcpl'] = JSON.stringify(license);
+  return {data: await makeZip(protectedFiles, {compression}), license, files: clearFiles};
+}
+
+export async function readStream(stream) {
+  const reader = stream.getReader();
+  const chunks = [];
+  for (;;) {
+    const {done, value} = await reader.read();
+    if (done) {
+      return Buffer.concat(chunks);
+    }
+    chunks.push(Buffer.from(value));
+  }
+}
@@ -24,6 +24,14 @@ const config = {
   },
   resolve: {
     extensions: ['.js']
+  },
+  externals: {
+    // node.js only modules (DirectoryEpub, Streamer, WebPubExporter) rely on the host fs, path and http modules,
+    // crypto resolves to node:crypto in node.js and to WebCrypto in browsers
+    fs: {commonjs: 'fs', commonjs2: 'fs', amd: 'fs', root: 'fs'},
+    path: {commonjs: 'path', commonjs2: 'path', amd: 'path', root: 'path'},
+    http: {commonjs: 'http', commonjs2: 'http', amd: 'http', root: 'http'},
+    crypto: {commonjs: 'crypto', commonjs2: 'crypto', amd: 'crypto', root: 'crypto'}
   }
 };
 